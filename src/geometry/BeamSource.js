@@ -0,0 +1,201 @@
+/**
+ * file: src/geometry/BeamSource.js
+ * desc: Defines a collimated beam light source (parallel rays across a width).
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import FocalPoint from './FocalPoint.js';
+
+/**
+ * BeamSource - Emits parallel rays spread evenly across an aperture
+ * The beam travels along the source's rotation; the aperture is perpendicular to it,
+ * centered on the source's position.
+ */
+export default class BeamSource extends FocalPoint {
+    // Distance (px) from the aperture within which a point counts as "on" it (for selection)
+    static PICK_TOLERANCE = 5;
+
+    constructor({
+        id = null,
+        x = 400,
+        y = 300,
+        rayCount = 16,
+        rayLength = 10000,
+        beamWidth = 80,         // Aperture width (px)
+        rotation = 0,           // Beam direction (radians)
+        edgeColor = '#ffff00',
+        fillColor = '#ffff00',
+        material = null,
+        spectralSamples = 0,
+        rayColor = null,
+        intensity = 1.0,
+        sampling = 'uniform'
+    } = {}) {
+        super({
+            id,
+            x,
+            y,
+            rayCount,
+            rayLength,
+            rotation,
+            edgeColor,
+            fillColor,
+            material,
+            spectralSamples,
+            rayColor,
+            intensity,
+            sampling
+        });
+
+        this.type = 'BeamSource';
+        this.beamWidth = this.validateBeamWidth(beamWidth);
+    }
+
+    /**
+     * Validate beam width (must be positive)
+     */
+    validateBeamWidth(value) {
+        if (value <= 0) {
+            console.warn('Beam width must be positive, setting to 1');
+            return 1;
+        }
+        return value;
+    }
+
+    // Beam width getter
+    getBeamWidth() {
+        return this.beamWidth;
+    }
+
+    // Beam width setter
+    setBeamWidth(width) {
+        this.beamWidth = this.validateBeamWidth(width);
+    }
+
+    /**
+     * Get the unit direction the beam travels in
+     */
+    getDirection() {
+        return { x: Math.cos(this.rotation), y: Math.sin(this.rotation) };
+    }
+
+    /**
+     * Get the two ends of the aperture in world coordinates
+     */
+    getApertureEndpoints() {
+        const half = this.beamWidth / 2;
+        const across = { x: -Math.sin(this.rotation), y: Math.cos(this.rotation) };
+
+        return [
+            { x: this.position.x - across.x * half, y: this.position.y - across.y * half },
+            { x: this.position.x + across.x * half, y: this.position.y + across.y * half }
+        ];
+    }
+
+    /**
+     * Generate ray origins and directions
+     * Rays start at the centers of rayCount equal slices of the aperture,
+     * or anywhere across it when given a random generator (stochastic mode)
+     */
+    getRayOriginsAndDirections(random = null) {
+        const [start, end] = this.getApertureEndpoints();
+        const direction = this.getDirection();
+        const rays = [];
+
+        for (let i = 0; i < this.rayCount; i++) {
+            const t = random ? random.next() : (i + 0.5) / this.rayCount;
+            rays.push({
+                origin: {
+                    x: start.x + (end.x - start.x) * t,
+                    y: start.y + (end.y - start.y) * t
+                },
+                direction: { ...direction }
+            });
+        }
+
+        return rays;
+    }
+
+    /**
+     * Generate ray directions (every ray in a beam shares one direction)
+     */
+    getRayDirections(random = null) {
+        return this.getRayOriginsAndDirections(random).map(ray => ray.direction);
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        const [p1, p2] = this.getApertureEndpoints();
+
+        return {
+            minX: Math.min(p1.x, p2.x) - this.radius,
+            minY: Math.min(p1.y, p2.y) - this.radius,
+            maxX: Math.max(p1.x, p2.x) + this.radius,
+            maxY: Math.max(p1.y, p2.y) + this.radius
+        };
+    }
+
+    /**
+     * Get vertices (a thin box around the aperture, extending towards the beam)
+     */
+    getVertices() {
+        const [p1, p2] = this.getApertureEndpoints();
+        const direction = this.getDirection();
+        const depth = this.radius;
+
+        return [
+            { ...p1 },
+            { ...p2 },
+            { x: p2.x + direction.x * depth, y: p2.y + direction.y * depth },
+            { x: p1.x + direction.x * depth, y: p1.y + direction.y * depth }
+        ];
+    }
+
+    /**
+     * Check if a point is on the source (near the aperture or its center marker)
+     */
+    containsPoint(x, y) {
+        // Transform point to local coordinates (x along the beam, y across it)
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+
+        return Math.abs(localY) <= this.beamWidth / 2 + BeamSource.PICK_TOLERANCE &&
+            localX >= -BeamSource.PICK_TOLERANCE &&
+            localX <= this.radius + BeamSource.PICK_TOLERANCE;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            beamWidth: this.beamWidth
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.beamWidth !== undefined) this.beamWidth = this.validateBeamWidth(json.beamWidth);
+    }
+
+    /**
+     * Create BeamSource from JSON
+     */
+    static fromJSON(json) {
+        const source = new BeamSource(json);
+        source.updateFromJSON(json);
+        return source;
+    }
+}
\ No newline at end of file
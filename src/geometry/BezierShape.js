@@ -0,0 +1,299 @@
+/**
+ * file: src/geometry/BezierShape.js
+ * desc: Implements a freeform shape outlined by a closed chain of cubic Bezier segments.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+import GeometryMath from '@/utils/math/GeometryMath.js';
+
+// Circle-approximating control point offset for four cubic segments
+const KAPPA = 0.5523;
+
+/**
+ * BezierShape - Closed outline made of cubic Bezier segments
+ *
+ * Points are stored in local coordinates as a flat list of triples:
+ *   [anchor0, out0, in1, anchor1, out1, in2, ..., anchorN-1, outN-1, in0]
+ * Segment i runs from anchor i through its two control points to anchor i + 1
+ * (the last segment wraps around to anchor 0).
+ */
+export default class BezierShape extends GeometricObject {
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        points = BezierShape.defaultPoints(),
+        rotation = 0,
+        edgeColor = '#ffffff',
+        fillColor = '#666666',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'BezierShape',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.points = this.validatePoints(points);
+    }
+
+    /**
+     * Default outline: a rounded blob with four segments
+     */
+    static defaultPoints(rx = 70, ry = 45) {
+        const kx = rx * KAPPA;
+        const ky = ry * KAPPA;
+
+        return [
+            { x: rx, y: 0 }, { x: rx, y: ky }, { x: kx, y: ry },
+            { x: 0, y: ry }, { x: -kx, y: ry }, { x: -rx, y: ky },
+            { x: -rx, y: 0 }, { x: -rx, y: -ky }, { x: -kx, y: -ry },
+            { x: 0, y: -ry }, { x: kx, y: -ry }, { x: rx, y: -ky }
+        ];
+    }
+
+    /**
+     * Validate points (need at least 2 segments, 3 points per segment)
+     */
+    validatePoints(points) {
+        if (!Array.isArray(points) || points.length < 6 || points.length % 3 !== 0) {
+            console.warn('Bezier outline needs 3 points per segment and at least 2 segments, keeping previous shape');
+            return this.points || BezierShape.defaultPoints();
+        }
+        return points.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    /**
+     * Number of Bezier segments (equal to the number of anchors)
+     */
+    getSegmentCount() {
+        return this.points.length / 3;
+    }
+
+    /**
+     * Get local points
+     */
+    getLocalPoints() {
+        return this.points.map(p => ({ ...p }));
+    }
+
+    /**
+     * Set local points
+     */
+    setLocalPoints(points) {
+        this.points = this.validatePoints(points);
+    }
+
+    /**
+     * Get all anchor and control points in world coordinates
+     */
+    getWorldPoints() {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const px = this.position.x;
+        const py = this.position.y;
+
+        return this.points.map(p => ({
+            x: px + p.x * cos - p.y * sin,
+            y: py + p.x * sin + p.y * cos
+        }));
+    }
+
+    /**
+     * Get the segments in world coordinates
+     * @returns {Array<Array<{x: number, y: number}>>} Four control points per segment
+     */
+    getSegments() {
+        const world = this.getWorldPoints();
+        const count = world.length;
+        const segments = [];
+
+        for (let i = 0; i < count; i += 3) {
+            segments.push([world[i], world[i + 1], world[i + 2], world[(i + 3) % count]]);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Get editing handles (all anchor and control points, in world coordinates)
+     */
+    getHandles() {
+        return this.getWorldPoints();
+    }
+
+    /**
+     * Move an editing handle to a point in world coordinates
+     * Moving an anchor carries its two neighbouring control points along
+     */
+    moveHandle(index, x, y) {
+        if (index < 0 || index >= this.points.length) {
+            console.warn(`Handle index ${index} out of range`);
+            return;
+        }
+
+        // Transform world point to local coordinates
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const local = {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+
+        if (index % 3 === 0) {
+            const count = this.points.length;
+            const shiftX = local.x - this.points[index].x;
+            const shiftY = local.y - this.points[index].y;
+
+            [(index - 1 + count) % count, index + 1].forEach(i => {
+                this.points[i] = { x: this.points[i].x + shiftX, y: this.points[i].y + shiftY };
+            });
+        }
+
+        this.points[index] = local;
+    }
+
+    /**
+     * Split a segment in half (de Casteljau), keeping the outline unchanged
+     * @param {number} segmentIndex - Segment to split
+     */
+    splitSegment(segmentIndex) {
+        const count = this.points.length;
+        const start = segmentIndex * 3;
+        if (segmentIndex < 0 || start >= count) {
+            console.warn(`Segment index ${segmentIndex} out of range`);
+            return;
+        }
+
+        const p0 = this.points[start];
+        const p1 = this.points[start + 1];
+        const p2 = this.points[start + 2];
+        const p3 = this.points[(start + 3) % count];
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+        const p01 = mid(p0, p1);
+        const p12 = mid(p1, p2);
+        const p23 = mid(p2, p3);
+        const p012 = mid(p01, p12);
+        const p123 = mid(p12, p23);
+        const split = mid(p012, p123);
+
+        this.points.splice(start + 1, 2, p01, p012, split, p123, p23);
+    }
+
+    /**
+     * Remove an anchor, merging its two neighbouring segments (outline keeps at least 2)
+     * @param {number} anchorIndex - Anchor to remove
+     */
+    removeAnchor(anchorIndex) {
+        const count = this.points.length;
+        if (count <= 6) {
+            console.warn('Bezier outline needs at least 2 segments');
+            return;
+        }
+        if (anchorIndex < 0 || anchorIndex * 3 >= count) {
+            console.warn(`Anchor index ${anchorIndex} out of range`);
+            return;
+        }
+
+        // Drop the anchor, its outgoing control and the incoming control before it
+        const start = anchorIndex * 3;
+        const remove = new Set([(start - 1 + count) % count, start, start + 1]);
+        const points = this.points.filter((_, i) => !remove.has(i));
+
+        // Anchor 0 was removed: the list now starts with anchor 1's incoming control, so move
+        // that control to the end (it closes the last segment) and start with anchor 1
+        if (anchorIndex === 0) {
+            points.push(points.shift());
+        }
+
+        this.points = points;
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     * Uses the exact extent of each curve, not its (larger) control polygon
+     */
+    getBoundingBox() {
+        const boxes = this.getSegments().map(p => GeometryMath.cubicBezierBounds(p));
+
+        return {
+            minX: Math.min(...boxes.map(b => b.minX)),
+            minY: Math.min(...boxes.map(b => b.minY)),
+            maxX: Math.max(...boxes.map(b => b.maxX)),
+            maxY: Math.max(...boxes.map(b => b.maxY))
+        };
+    }
+
+    /**
+     * Get vertices of the outline (curves approximated as polylines, for rendering)
+     */
+    getVertices(samplesPerSegment = 16) {
+        const vertices = [];
+
+        this.getSegments().forEach(p => {
+            for (let i = 0; i < samplesPerSegment; i++) {
+                vertices.push(GeometryMath.cubicBezierPoint(p, i / samplesPerSegment));
+            }
+        });
+
+        return vertices;
+    }
+
+    /**
+     * Check if point is inside the outline using the even-odd rule
+     * Counts exact crossings of a horizontal ray with every curve segment
+     */
+    containsPoint(x, y) {
+        const origin = { x, y };
+        const direction = { x: 1, y: 0 };
+        let crossings = 0;
+
+        this.getSegments().forEach(p => {
+            GeometryMath.rayCubicBezierHits(origin, direction, p).forEach(({ t, u }) => {
+                // u = 1 is the next segment's u = 0, so count each anchor once
+                if (t > 0 && u < 1) {
+                    crossings++;
+                }
+            });
+        });
+
+        return crossings % 2 === 1;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            points: this.getLocalPoints()
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.points !== undefined) this.points = this.validatePoints(json.points);
+    }
+
+    /**
+     * Create BezierShape from JSON
+     */
+    static fromJSON(json) {
+        const shape = new BezierShape(json);
+        shape.updateFromJSON(json);
+        return shape;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,464 @@
+/**
+ * file: src/geometry/CompositeObject.js
+ * desc: Implements constructive solid geometry (union, intersection, difference) of shapes.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+import ObjectFactory from './ObjectFactory.js';
+
+// Outline and fill of each composite in its local frame (see getLocalGeometry). Kept outside the
+// object so filling the cache while drawing doesn't trigger the scene store's deep watchers.
+const geometryCache = new WeakMap();
+
+/**
+ * CompositeObject - A boolean combination of other shapes, acting as one object
+ *
+ * Children are positioned in the composite's local frame (relative to its position, before its
+ * rotation), so moving or rotating the composite carries them along. Only the composite's own
+ * material is used; the whole combined shape is a single medium for the tracer.
+ * Operations:
+ *  - 'union'        - inside any child
+ *  - 'intersection' - inside every child
+ *  - 'difference'   - inside the first child but none of the others
+ */
+export default class CompositeObject extends GeometricObject {
+    static OPERATIONS = ['union', 'intersection', 'difference'];
+
+    // Offset (px) used to probe either side of a boundary
+    static BOUNDARY_PROBE = 0.01;
+
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        operation = 'union',
+        children = [],
+        rotation = 0,
+        edgeColor = '#ffffff',
+        fillColor = '#666666',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'Composite',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.operation = this.validateOperation(operation);
+        this.children = this.validateChildren(children);
+    }
+
+    /**
+     * Validate operation (must be one of OPERATIONS)
+     */
+    validateOperation(value) {
+        if (!CompositeObject.OPERATIONS.includes(value)) {
+            console.warn(`Unknown CSG operation ${value}, using 'union'`);
+            return 'union';
+        }
+        return value;
+    }
+
+    /**
+     * Validate children (only shapes with an interior can be combined)
+     * Children given as JSON are rebuilt through the ObjectFactory
+     */
+    validateChildren(children) {
+        if (!Array.isArray(children)) {
+            console.warn('Composite children must be an array');
+            return this.children || [];
+        }
+
+        return children
+            .map(child => child instanceof GeometricObject ? child : ObjectFactory.fromJSON(child))
+            .filter(child => {
+                if (!child) return false;
+                if (!child.hasInterior()) {
+                    console.warn(`${child.type} has no interior and can't be part of a composite`);
+                    return false;
+                }
+                return true;
+            });
+    }
+
+    /**
+     * Create a composite from objects positioned in world coordinates
+     * The composite is placed at the center of the objects' bounding boxes
+     * @param {Array<GeometricObject>} objects - Objects to combine (first is the base for 'difference')
+     * @param {string} operation - CSG operation
+     * @param {Object} options - Other constructor options (colors, material, ...)
+     */
+    static fromWorldObjects(objects, operation = 'union', options = {}) {
+        const boxes = objects.map(object => object.getBoundingBox());
+        const cx = (Math.min(...boxes.map(b => b.minX)) + Math.max(...boxes.map(b => b.maxX))) / 2;
+        const cy = (Math.min(...boxes.map(b => b.minY)) + Math.max(...boxes.map(b => b.maxY))) / 2;
+
+        objects.forEach(object => {
+            object.setPosition(object.position.x - cx, object.position.y - cy);
+        });
+
+        return new CompositeObject({
+            ...options,
+            x: cx,
+            y: cy,
+            operation,
+            children: objects
+        });
+    }
+
+    /**
+     * Transform a world point to the composite's local frame
+     */
+    toLocal(x, y) {
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        return {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Transform a local point to world coordinates
+     */
+    toWorld(x, y) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        return {
+            x: this.position.x + x * cos - y * sin,
+            y: this.position.y + x * sin + y * cos
+        };
+    }
+
+    /**
+     * Check if a point in the local frame is inside the combined shape
+     */
+    containsLocalPoint(x, y) {
+        if (this.children.length === 0) {
+            return false;
+        }
+
+        switch (this.operation) {
+            case 'intersection':
+                return this.children.every(child => child.containsPoint(x, y));
+            case 'difference':
+                return this.children[0].containsPoint(x, y) &&
+                    !this.children.slice(1).some(child => child.containsPoint(x, y));
+            default:
+                return this.children.some(child => child.containsPoint(x, y));
+        }
+    }
+
+    // Operation getter
+    getOperation() {
+        return this.operation;
+    }
+
+    // Operation setter
+    setOperation(operation) {
+        this.operation = this.validateOperation(operation);
+    }
+
+    // Children getter
+    getChildren() {
+        return this.children;
+    }
+
+    /**
+     * Add a child given in world coordinates (converted into the local frame)
+     */
+    addWorldChild(object) {
+        const [child] = this.validateChildren([object]);
+        if (!child) return;
+
+        const local = this.toLocal(child.position.x, child.position.y);
+        child.setPosition(local.x, local.y);
+        child.setRotation(child.rotation - this.rotation);
+        this.children.push(child);
+    }
+
+    /**
+     * Move a child to a position in the local frame
+     */
+    moveChild(index, x, y) {
+        if (index < 0 || index >= this.children.length) {
+            console.warn(`Child index ${index} out of range`);
+            return;
+        }
+        this.children[index].setPosition(x, y);
+    }
+
+    /**
+     * Remove a child
+     */
+    removeChild(index) {
+        if (index < 0 || index >= this.children.length) {
+            console.warn(`Child index ${index} out of range`);
+            return;
+        }
+        this.children.splice(index, 1);
+    }
+
+    /**
+     * Get the children as standalone world-space objects (for ungrouping)
+     * Each one takes on a copy of the composite's material and colors
+     */
+    getWorldChildren() {
+        return this.children.map(child => {
+            const copy = ObjectFactory.fromJSON(child.toJSON());
+            const world = this.toWorld(child.position.x, child.position.y);
+            copy.setPosition(world.x, world.y);
+            copy.setRotation(child.rotation + this.rotation);
+            copy.setMaterial(this.material.clone());
+            copy.setEdgeColor(this.edgeColor);
+            copy.setFillColor(this.fillColor);
+            return copy;
+        });
+    }
+
+    /**
+     * Get the combined outline and fill in the local frame
+     * Both take many containsLocalPoint calls, so they are only rebuilt when the operation or a
+     * child changes; moving or rotating the composite reuses them.
+     * @returns {Object} { boundary: local [start, end] pairs, spans: local [x0, x1, y] fill rows }
+     */
+    getLocalGeometry() {
+        const key = JSON.stringify([this.operation, this.children.map(child => child.toJSON())]);
+        let geometry = geometryCache.get(this);
+
+        if (geometry?.key !== key) {
+            geometry = {
+                key,
+                boundary: this.buildBoundary(),
+                spans: this.buildFillSpans()
+            };
+            geometryCache.set(this, geometry);
+        }
+        return geometry;
+    }
+
+    /**
+     * Find the pieces of the children's outlines that lie on the combined boundary
+     * Each child edge is cut into short pieces and a piece is kept when the combined shape
+     * is inside on one side of it and outside on the other
+     * @param {number} pieceLength - Approximate length (px) of each piece
+     * @returns {Array<Array<{x: number, y: number}>>} Local [start, end] pairs
+     */
+    buildBoundary(pieceLength = 3) {
+        const segments = [];
+        const probe = 0.5;
+
+        this.children.forEach(child => {
+            const vertices = child.getVertices();
+
+            for (let i = 0; i < vertices.length; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const length = Math.sqrt(dx * dx + dy * dy);
+                if (length === 0) continue;
+
+                const nx = -dy / length;
+                const ny = dx / length;
+                const pieces = Math.max(1, Math.ceil(length / pieceLength));
+
+                for (let j = 0; j < pieces; j++) {
+                    const mx = a.x + dx * (j + 0.5) / pieces;
+                    const my = a.y + dy * (j + 0.5) / pieces;
+                    const left = this.containsLocalPoint(mx + nx * probe, my + ny * probe);
+                    const right = this.containsLocalPoint(mx - nx * probe, my - ny * probe);
+
+                    if (left !== right) {
+                        segments.push([
+                            { x: a.x + dx * j / pieces, y: a.y + dy * j / pieces },
+                            { x: a.x + dx * (j + 1) / pieces, y: a.y + dy * (j + 1) / pieces }
+                        ]);
+                    }
+                }
+            }
+        });
+
+        return segments;
+    }
+
+    /**
+     * Find the fill as horizontal spans, one 1-px row at a time
+     * Each row is cut wherever it crosses a child outline, and the pieces whose midpoints lie
+     * inside the combined shape are kept
+     * @returns {Array<Array<number>>} Local [x0, x1, y] spans (y is the row's center)
+     */
+    buildFillSpans() {
+        const spans = [];
+        if (this.children.length === 0) {
+            return spans;
+        }
+
+        const box = this.getLocalBoundingBox();
+        const edges = [];
+        this.children.forEach(child => {
+            const outline = child.getVertices();
+            outline.forEach((a, i) => edges.push([a, outline[(i + 1) % outline.length]]));
+        });
+
+        for (let y = Math.floor(box.minY) + 0.5; y < box.maxY; y += 1) {
+            const xs = [box.minX, box.maxX];
+            edges.forEach(([a, b]) => {
+                if ((a.y > y) !== (b.y > y)) {
+                    xs.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            });
+            xs.sort((a, b) => a - b);
+
+            for (let i = 0; i < xs.length - 1; i++) {
+                if (xs[i + 1] - xs[i] > 0 && this.containsLocalPoint((xs[i] + xs[i + 1]) / 2, y)) {
+                    spans.push([xs[i], xs[i + 1], y]);
+                }
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Get the pieces of the children's outlines that lie on the combined boundary
+     * @returns {Array<Array<{x: number, y: number}>>} World-space [start, end] pairs
+     */
+    getBoundarySegments() {
+        return this.getLocalGeometry().boundary.map(([start, end]) => [
+            this.toWorld(start.x, start.y),
+            this.toWorld(end.x, end.y)
+        ]);
+    }
+
+    /**
+     * Get the fill as one quad per span (rotated with the composite)
+     * @returns {Array<Array<{x: number, y: number}>>} World-space corners of each quad
+     */
+    getFillQuads() {
+        return this.getLocalGeometry().spans.map(([x0, x1, y]) => [
+            this.toWorld(x0, y - 0.5),
+            this.toWorld(x1, y - 0.5),
+            this.toWorld(x1, y + 0.5),
+            this.toWorld(x0, y + 0.5)
+        ]);
+    }
+
+    /**
+     * Get the bounding box in the local frame
+     * Union spans all children, intersection only their overlap, difference the first child
+     */
+    getLocalBoundingBox() {
+        const boxes = this.children.map(child => child.getBoundingBox());
+        let local;
+
+        switch (this.operation) {
+            case 'intersection':
+                local = {
+                    minX: Math.max(...boxes.map(b => b.minX)),
+                    minY: Math.max(...boxes.map(b => b.minY)),
+                    maxX: Math.min(...boxes.map(b => b.maxX)),
+                    maxY: Math.min(...boxes.map(b => b.maxY))
+                };
+                // Disjoint children: the shape is empty, collapse the box to a point
+                local.maxX = Math.max(local.minX, local.maxX);
+                local.maxY = Math.max(local.minY, local.maxY);
+                break;
+            case 'difference':
+                local = boxes[0];
+                break;
+            default:
+                local = {
+                    minX: Math.min(...boxes.map(b => b.minX)),
+                    minY: Math.min(...boxes.map(b => b.minY)),
+                    maxX: Math.max(...boxes.map(b => b.maxX)),
+                    maxY: Math.max(...boxes.map(b => b.maxY))
+                };
+        }
+
+        return local;
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        if (this.children.length === 0) {
+            return { minX: this.position.x, minY: this.position.y, maxX: this.position.x, maxY: this.position.y };
+        }
+
+        const local = this.getLocalBoundingBox();
+
+        // Transform the local box corners to world space
+        const corners = [
+            this.toWorld(local.minX, local.minY),
+            this.toWorld(local.maxX, local.minY),
+            this.toWorld(local.maxX, local.maxY),
+            this.toWorld(local.minX, local.maxY)
+        ];
+        const xs = corners.map(c => c.x);
+        const ys = corners.map(c => c.y);
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Get vertices of the combined outline (start of each boundary piece, in world coordinates)
+     */
+    getVertices() {
+        return this.getBoundarySegments().map(([start]) => start);
+    }
+
+    /**
+     * Check if point is inside the combined shape
+     */
+    containsPoint(x, y) {
+        const local = this.toLocal(x, y);
+        return this.containsLocalPoint(local.x, local.y);
+    }
+
+    /**
+     * Serialize to plain object (children are serialized recursively)
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            operation: this.operation,
+            children: this.children.map(child => child.toJSON())
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.operation !== undefined) this.operation = this.validateOperation(json.operation);
+        if (json.children !== undefined) this.children = this.validateChildren(json.children);
+    }
+
+    /**
+     * Create CompositeObject from JSON
+     */
+    static fromJSON(json) {
+        const composite = new CompositeObject({ ...json, children: [] });
+        composite.updateFromJSON(json);
+        return composite;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,350 @@
+/**
+ * file: src/geometry/CurvedMirror.js
+ * desc: Implements curved thin mirrors (circular, parabolic and elliptical arcs).
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import Mirror from './Mirror.js';
+import GeometryMath from '@/utils/math/GeometryMath.js';
+
+/**
+ * CurvedMirror - An open conic arc with no interior
+ *
+ * In local coordinates the vertex sits at the object's position and the mirror opens toward +x,
+ * so the focus lies on the local x axis. The inherited length is the aperture (full arc height).
+ * Curves:
+ *  - 'circular'   - spherical mirror, radius 2 * focalLength (paraxial focus)
+ *  - 'parabolic'  - parabola with its focus at focalLength (exact focus for rays parallel to the axis)
+ *  - 'elliptical' - ellipse with its near focus at focalLength and the far focus set by eccentricity
+ */
+export default class CurvedMirror extends Mirror {
+    static CURVES = ['circular', 'parabolic', 'elliptical'];
+
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        curve = 'parabolic',
+        focalLength = 100,
+        eccentricity = 0.5,     // elliptical only
+        aperture = 160,
+        mode = 'mirror',
+        showFocus = true,
+        rotation = 0,
+        edgeColor = '#c0d8ff',
+        fillColor = '#c0d8ff',
+        material = null
+    } = {}) {
+        super({
+            id,
+            x,
+            y,
+            length: aperture,
+            mode,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.type = 'CurvedMirror';
+        this.curve = this.validateCurve(curve);
+        this.focalLength = this.validateFocalLength(focalLength);
+        this.eccentricity = this.validateEccentricity(eccentricity);
+        this.showFocus = showFocus;
+        this.length = this.validateAperture(this.length);
+    }
+
+    /**
+     * Validate curve (must be one of CURVES)
+     */
+    validateCurve(value) {
+        if (!CurvedMirror.CURVES.includes(value)) {
+            console.warn(`Unknown mirror curve ${value}, using 'parabolic'`);
+            return 'parabolic';
+        }
+        return value;
+    }
+
+    /**
+     * Validate focal length (must be positive)
+     */
+    validateFocalLength(value) {
+        if (value <= 0) {
+            console.warn('Focal length must be positive, setting to 1');
+            return 1;
+        }
+        return value;
+    }
+
+    /**
+     * Validate eccentricity (ellipse needs 0 < e < 1)
+     */
+    validateEccentricity(value) {
+        if (value < 0.01 || value > 0.99) {
+            const clamped = Math.max(0.01, Math.min(0.99, value));
+            console.warn(`Eccentricity clamped from ${value} to ${clamped}`);
+            return clamped;
+        }
+        return value;
+    }
+
+    /**
+     * Validate aperture (a closed curve can't be wider than its minor axis)
+     */
+    validateAperture(value) {
+        const maxAperture = 2 * this.getMaxHalfAperture();
+        if (value > maxAperture) {
+            console.warn(`Aperture clamped from ${value} to ${maxAperture.toFixed(2)}`);
+            return maxAperture;
+        }
+        return this.validateLength(value);
+    }
+
+    /**
+     * Coefficients of the mirror's conic alpha*x^2 + beta*x + y^2 = 0 (see GeometryMath.conicSag)
+     * @returns {Object} { alpha, beta }
+     */
+    getConicCoefficients() {
+        const f = this.focalLength;
+
+        switch (this.curve) {
+            case 'circular':
+                // Circle of radius R = 2f centered on the axis
+                return { alpha: 1, beta: -4 * f };
+            case 'elliptical': {
+                // Near focus at a(1 - e) = f, semi-minor axis b^2 = a^2(1 - e^2)
+                const e = this.eccentricity;
+                return { alpha: 1 - e * e, beta: -2 * f * (1 + e) };
+            }
+            default:
+                // Parabola y^2 = 4fx
+                return { alpha: 0, beta: -4 * f };
+        }
+    }
+
+    /**
+     * Largest half aperture the curve allows (the semi-minor axis for closed curves)
+     */
+    getMaxHalfAperture() {
+        const { alpha, beta } = this.getConicCoefficients();
+        return alpha > 0 ? Math.abs(beta) / (2 * Math.sqrt(alpha)) : Infinity;
+    }
+
+    /**
+     * Local x coordinate of the surface at height y
+     */
+    getSurfaceX(y) {
+        const { alpha, beta } = this.getConicCoefficients();
+        return GeometryMath.conicSag(alpha, beta, y);
+    }
+
+    /**
+     * Get the geometric foci in world coordinates
+     * Ellipses have a second, far focus; the other curves have one
+     */
+    getFoci() {
+        const localXs = [this.focalLength];
+        if (this.curve === 'elliptical') {
+            const e = this.eccentricity;
+            localXs.push(this.focalLength * (1 + e) / (1 - e));
+        }
+
+        return localXs.map(lx => this.localToWorld(lx, 0));
+    }
+
+    /**
+     * Transform a point from local to world coordinates
+     */
+    localToWorld(lx, ly) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        return {
+            x: this.position.x + lx * cos - ly * sin,
+            y: this.position.y + lx * sin + ly * cos
+        };
+    }
+
+    /**
+     * Transform a point from world to local coordinates
+     */
+    worldToLocal(x, y) {
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        return {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+    }
+
+    // Curve getter
+    getCurve() {
+        return this.curve;
+    }
+
+    // Curve setter
+    setCurve(curve) {
+        this.curve = this.validateCurve(curve);
+        this.length = this.validateAperture(this.length);
+    }
+
+    // Focal length getter
+    getFocalLength() {
+        return this.focalLength;
+    }
+
+    // Focal length setter
+    setFocalLength(value) {
+        this.focalLength = this.validateFocalLength(value);
+        this.length = this.validateAperture(this.length);
+    }
+
+    // Eccentricity getter
+    getEccentricity() {
+        return this.eccentricity;
+    }
+
+    // Eccentricity setter
+    setEccentricity(value) {
+        this.eccentricity = this.validateEccentricity(value);
+        this.length = this.validateAperture(this.length);
+    }
+
+    // Aperture getter
+    getAperture() {
+        return this.length;
+    }
+
+    // Aperture setter
+    setAperture(value) {
+        this.length = this.validateAperture(value);
+    }
+
+    // Length setter (the length of a curved mirror is its aperture)
+    setLength(value) {
+        this.setAperture(value);
+    }
+
+    // Show focus setter
+    setShowFocus(value) {
+        this.showFocus = !!value;
+    }
+
+    /**
+     * Get the two ends of the arc in world coordinates
+     */
+    getEndpoints() {
+        const halfAperture = this.length / 2;
+        return [
+            this.localToWorld(this.getSurfaceX(-halfAperture), -halfAperture),
+            this.localToWorld(this.getSurfaceX(halfAperture), halfAperture)
+        ];
+    }
+
+    /**
+     * Get editing handles: the (near) focus, then the two ends of the arc
+     */
+    getHandles() {
+        return [this.getFoci()[0], ...this.getEndpoints()];
+    }
+
+    /**
+     * Move an editing handle to a point in world coordinates
+     * The focus handle sets the focal length, the end handles set the aperture
+     */
+    moveHandle(index, x, y) {
+        const local = this.worldToLocal(x, y);
+
+        if (index === 0) {
+            this.setFocalLength(Math.max(1, local.x));
+        } else {
+            this.setAperture(Math.max(1, 2 * Math.abs(local.y)));
+        }
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     * Padded slightly so nearly flat arcs still have a non-degenerate box
+     */
+    getBoundingBox() {
+        const vertices = this.getVertices();
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+        const pad = 1;
+
+        return {
+            minX: Math.min(...xs) - pad,
+            minY: Math.min(...ys) - pad,
+            maxX: Math.max(...xs) + pad,
+            maxY: Math.max(...ys) + pad
+        };
+    }
+
+    /**
+     * Get points along the arc in world coordinates (an open polyline, for rendering)
+     */
+    getVertices(segments = 32) {
+        const halfAperture = this.length / 2;
+        const vertices = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const y = -halfAperture + (i / segments) * this.length;
+            vertices.push(this.localToWorld(this.getSurfaceX(y), y));
+        }
+
+        return vertices;
+    }
+
+    /**
+     * Check if a point lies on the arc (within PICK_TOLERANCE, for selection)
+     */
+    containsPoint(x, y) {
+        const local = this.worldToLocal(x, y);
+
+        if (Math.abs(local.y) > this.length / 2 + Mirror.PICK_TOLERANCE) {
+            return false;
+        }
+
+        const clampedY = Math.max(-this.length / 2, Math.min(this.length / 2, local.y));
+        return Math.abs(local.x - this.getSurfaceX(clampedY)) <= Mirror.PICK_TOLERANCE;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            curve: this.curve,
+            focalLength: this.focalLength,
+            eccentricity: this.eccentricity,
+            showFocus: this.showFocus
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.curve !== undefined) this.curve = this.validateCurve(json.curve);
+        if (json.focalLength !== undefined) this.focalLength = this.validateFocalLength(json.focalLength);
+        if (json.eccentricity !== undefined) this.eccentricity = this.validateEccentricity(json.eccentricity);
+        if (json.showFocus !== undefined) this.showFocus = json.showFocus;
+        this.length = this.validateAperture(this.length);
+    }
+
+    /**
+     * Create CurvedMirror from JSON
+     */
+    static fromJSON(json) {
+        const mirror = new CurvedMirror({ ...json, aperture: json.length });
+        mirror.updateFromJSON(json);
+        return mirror;
+    }
+}
\ No newline at end of file
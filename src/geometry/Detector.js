@@ -0,0 +1,395 @@
+/**
+ * file: src/geometry/Detector.js
+ * desc: Implements a detector screen (line segment or circular arc) that records ray hits.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+import GeometryMath from '@/utils/math/GeometryMath.js';
+
+/**
+ * Detector - A thin, absorbing screen that bins every ray hit along its length
+ *
+ * In local coordinates the screen's center sits at the object's position and it faces +x,
+ * spanning local y from -length/2 to length/2. A line is straight; an arc is part of a circle of
+ * radius arcRadius whose center lies at (arcRadius, 0), so it curves around the +x side.
+ * Hits are binned by their position along the screen (0 at the first end, the profile length at
+ * the other) and, optionally, by their signed angle of incidence (-90° to 90°).
+ * The hits themselves are recorded by the ray tracer (see DetectorReading).
+ */
+export default class Detector extends GeometricObject {
+    static SHAPES = ['line', 'arc'];
+
+    // Distance (px) from the screen within which a point counts as "on" it (for selection)
+    static PICK_TOLERANCE = 5;
+
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        shape = 'line',
+        length = 200,           // Full height of the screen (chord for arcs)
+        arcRadius = 150,        // Radius of curvature (arc only)
+        binCount = 64,          // Bins along the screen
+        angleBinCount = 0,      // Bins over the incidence angle (0 = position only)
+        rotation = 0,           // Direction the screen faces (radians)
+        edgeColor = '#66ffcc',
+        fillColor = '#66ffcc',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'Detector',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.shape = this.validateShape(shape);
+        this.length = this.validateLength(length);
+        this.arcRadius = this.validateArcRadius(arcRadius);
+        this.binCount = this.validateBinCount(binCount);
+        this.angleBinCount = this.validateAngleBinCount(angleBinCount);
+    }
+
+    /**
+     * Validate shape (must be one of SHAPES)
+     */
+    validateShape(value) {
+        if (!Detector.SHAPES.includes(value)) {
+            console.warn(`Unknown detector shape ${value}, using 'line'`);
+            return 'line';
+        }
+        return value;
+    }
+
+    /**
+     * Validate length (must be positive)
+     */
+    validateLength(value) {
+        if (value <= 0) {
+            console.warn('Length must be positive, setting to 1');
+            return 1;
+        }
+        return value;
+    }
+
+    /**
+     * Validate arc radius (an arc can be at most a half circle, so the radius is at least length / 2)
+     */
+    validateArcRadius(value) {
+        const min = this.length / 2;
+        if (!(value >= min)) {
+            console.warn(`Arc radius must be at least half the length, setting to ${min}`);
+            return min;
+        }
+        return value;
+    }
+
+    /**
+     * Validate bin count (1-1000)
+     */
+    validateBinCount(value) {
+        const count = Math.max(1, Math.min(1000, Math.floor(value)));
+        if (count !== value) {
+            console.warn(`Bin count clamped from ${value} to ${count}`);
+        }
+        return count;
+    }
+
+    /**
+     * Validate angle bin count (0-180)
+     */
+    validateAngleBinCount(value) {
+        const count = Math.max(0, Math.min(180, Math.floor(value)));
+        if (count !== value) {
+            console.warn(`Angle bin count clamped from ${value} to ${count}`);
+        }
+        return count;
+    }
+
+    /**
+     * Detectors are thin screens with no inside for rays to travel through
+     */
+    hasInterior() {
+        return false;
+    }
+
+    // Shape getter
+    getShape() {
+        return this.shape;
+    }
+
+    // Shape setter
+    setShape(shape) {
+        this.shape = this.validateShape(shape);
+    }
+
+    // Length getter
+    getLength() {
+        return this.length;
+    }
+
+    // Length setter (an arc grows its radius if needed)
+    setLength(length) {
+        this.length = this.validateLength(length);
+        this.arcRadius = Math.max(this.arcRadius, this.length / 2);
+    }
+
+    // Arc radius getter
+    getArcRadius() {
+        return this.arcRadius;
+    }
+
+    // Arc radius setter
+    setArcRadius(radius) {
+        this.arcRadius = this.validateArcRadius(radius);
+    }
+
+    // Bin count getter
+    getBinCount() {
+        return this.binCount;
+    }
+
+    // Bin count setter
+    setBinCount(count) {
+        this.binCount = this.validateBinCount(count);
+    }
+
+    // Angle bin count getter
+    getAngleBinCount() {
+        return this.angleBinCount;
+    }
+
+    // Angle bin count setter
+    setAngleBinCount(count) {
+        this.angleBinCount = this.validateAngleBinCount(count);
+    }
+
+    /**
+     * Coefficients of the arc's circle alpha*x^2 + beta*x + y^2 = 0 (see GeometryMath.conicSag)
+     * @returns {Object} { alpha, beta }
+     */
+    getConicCoefficients() {
+        return { alpha: 1, beta: -2 * this.arcRadius };
+    }
+
+    /**
+     * Local x coordinate of the screen at height y
+     */
+    getSurfaceX(y) {
+        if (this.shape === 'line') {
+            return 0;
+        }
+        const { alpha, beta } = this.getConicCoefficients();
+        return GeometryMath.conicSag(alpha, beta, y);
+    }
+
+    /**
+     * Transform a point from local to world coordinates
+     */
+    localToWorld(lx, ly) {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        return {
+            x: this.position.x + lx * cos - ly * sin,
+            y: this.position.y + lx * sin + ly * cos
+        };
+    }
+
+    /**
+     * Transform a point from world to local coordinates
+     */
+    worldToLocal(x, y) {
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        return {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Get the two ends of the screen in world coordinates (start of the profile first)
+     */
+    getEndpoints() {
+        const half = this.length / 2;
+        return [
+            this.localToWorld(this.getSurfaceX(-half), -half),
+            this.localToWorld(this.getSurfaceX(half), half)
+        ];
+    }
+
+    /**
+     * Length of the screen measured along it (the extent of the position profile)
+     */
+    getProfileLength() {
+        if (this.shape === 'line') {
+            return this.length;
+        }
+        return 2 * this.arcRadius * Math.asin(this.length / (2 * this.arcRadius));
+    }
+
+    /**
+     * Distance along the screen from its first end to a point on it
+     * @param {Object} point - World point on the screen {x, y}
+     * @returns {number} Position in [0, getProfileLength()]
+     */
+    getProfilePosition(point) {
+        const local = this.worldToLocal(point.x, point.y);
+        const y = Math.max(-this.length / 2, Math.min(this.length / 2, local.y));
+
+        if (this.shape === 'line') {
+            return y + this.length / 2;
+        }
+        return this.arcRadius * Math.asin(y / this.arcRadius) + this.getProfileLength() / 2;
+    }
+
+    /**
+     * Unit tangent of the screen at a point, pointing toward increasing profile position
+     */
+    getTangent(point) {
+        let localTangent = { x: 0, y: 1 };
+
+        if (this.shape === 'arc') {
+            // Point at angle phi on the circle: (R - R cos phi, R sin phi), tangent (sin phi, cos phi)
+            const local = this.worldToLocal(point.x, point.y);
+            const sinPhi = Math.max(-1, Math.min(1, local.y / this.arcRadius));
+            localTangent = { x: sinPhi, y: Math.sqrt(1 - sinPhi * sinPhi) };
+        }
+
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        return {
+            x: localTangent.x * cos - localTangent.y * sin,
+            y: localTangent.x * sin + localTangent.y * cos
+        };
+    }
+
+    /**
+     * Signed angle of incidence of a ray hitting the screen
+     * Measured from the surface normal; positive when the ray travels toward increasing position
+     * @param {Object} point - Hit point {x, y}
+     * @param {Object} direction - Ray direction (normalized)
+     * @returns {number} Angle in radians, in [-π/2, π/2]
+     */
+    getIncidenceAngle(point, direction) {
+        const tangent = this.getTangent(point);
+        const along = tangent.x * direction.x + tangent.y * direction.y;
+        return Math.asin(Math.max(-1, Math.min(1, along)));
+    }
+
+    /**
+     * Bin a position along the screen falls into
+     */
+    getBinIndex(position) {
+        const index = Math.floor(position / this.getProfileLength() * this.binCount);
+        return Math.max(0, Math.min(this.binCount - 1, index));
+    }
+
+    /**
+     * Angle bin an incidence angle falls into (-1 if angles aren't binned)
+     */
+    getAngleBinIndex(angle) {
+        if (this.angleBinCount === 0) {
+            return -1;
+        }
+        const index = Math.floor((angle + Math.PI / 2) / Math.PI * this.angleBinCount);
+        return Math.max(0, Math.min(this.angleBinCount - 1, index));
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     * Padded slightly so axis-aligned lines still have a non-degenerate box
+     */
+    getBoundingBox() {
+        const vertices = this.getVertices();
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+        const pad = 1;
+
+        return {
+            minX: Math.min(...xs) - pad,
+            minY: Math.min(...ys) - pad,
+            maxX: Math.max(...xs) + pad,
+            maxY: Math.max(...ys) + pad
+        };
+    }
+
+    /**
+     * Get vertices (points along the screen, for drawing and selection)
+     */
+    getVertices(segments = 32) {
+        if (this.shape === 'line') {
+            return this.getEndpoints();
+        }
+
+        const vertices = [];
+        for (let i = 0; i <= segments; i++) {
+            const y = -this.length / 2 + this.length * i / segments;
+            vertices.push(this.localToWorld(this.getSurfaceX(y), y));
+        }
+        return vertices;
+    }
+
+    /**
+     * Check if a point lies on the screen (within PICK_TOLERANCE, for selection)
+     */
+    containsPoint(x, y) {
+        const local = this.worldToLocal(x, y);
+
+        if (Math.abs(local.y) > this.length / 2 + Detector.PICK_TOLERANCE) {
+            return false;
+        }
+        if (this.shape === 'line') {
+            return Math.abs(local.x) <= Detector.PICK_TOLERANCE;
+        }
+
+        // Distance from the arc's circle, on the half nearest the center of the screen
+        const distance = Math.hypot(local.x - this.arcRadius, local.y);
+        return local.x <= this.arcRadius && Math.abs(distance - this.arcRadius) <= Detector.PICK_TOLERANCE;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            shape: this.shape,
+            length: this.length,
+            arcRadius: this.arcRadius,
+            binCount: this.binCount,
+            angleBinCount: this.angleBinCount
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.shape !== undefined) this.shape = this.validateShape(json.shape);
+        if (json.length !== undefined) this.length = this.validateLength(json.length);
+        if (json.arcRadius !== undefined) this.arcRadius = this.validateArcRadius(json.arcRadius);
+        if (json.binCount !== undefined) this.binCount = this.validateBinCount(json.binCount);
+        if (json.angleBinCount !== undefined) this.angleBinCount = this.validateAngleBinCount(json.angleBinCount);
+    }
+
+    /**
+     * Create Detector from JSON
+     */
+    static fromJSON(json) {
+        const detector = new Detector(json);
+        detector.updateFromJSON(json);
+        return detector;
+    }
+}
\ No newline at end of file
@@ -150,7 +150,6 @@ export default class Ellipse extends GeometricObject {
             (localX * localX) / (this.rx * this.rx) +
             (localY * localY) / (this.ry * this.ry);
 
-        console.log("ContainsPoint:", normalized <= 1);
         return normalized <= 1;
     }
 
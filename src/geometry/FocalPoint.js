@@ -6,12 +6,30 @@
  */
 
 import GeometricObject from './GeometricObject';
+import Spectrum from '@/utils/Spectrum.js';
 
 /**
  * FocalPoint - Light source/camera that emits rays
  * This is a special object that doesn't obstruct rays
  */
 export default class FocalPoint extends GeometricObject {
+    // Every light source type (they all live in the scene's focalPoints list)
+    static EMITTER_TYPES = ['FocalPoint', 'BeamSource', 'SpotLight', 'LineSource', 'LaserSource'];
+
+    // How emitted rays are laid out:
+    //  'uniform'    - evenly spaced directions/origins (deterministic, but can alias)
+    //  'stochastic' - Monte Carlo: directions/origins drawn from the scene's seeded generator
+    static SAMPLING_MODES = ['uniform', 'stochastic'];
+
+    /**
+     * Check if an object (or serialized object) is a light source
+     * @param {Object} object - Anything with a type
+     * @returns {boolean}
+     */
+    static isEmitter(object) {
+        return Boolean(object) && FocalPoint.EMITTER_TYPES.includes(object.type);
+    }
+
     constructor({
         id = null,
         x = 400,
@@ -23,6 +41,10 @@ export default class FocalPoint extends GeometricObject {
         fillColor = '#ffff00',
         material = null,
         emitFromSurface = false,
+        spectralSamples = 0,    // Wavelengths emitted per direction (0 = white light)
+        rayColor = null,        // Color of this source's rays (null = global ray color)
+        intensity = 1.0,        // Starting intensity of each emitted direction (0-1)
+        sampling = 'uniform',   // Ray layout (one of SAMPLING_MODES)
     } = {}) {
         super({
             id,
@@ -39,6 +61,10 @@ export default class FocalPoint extends GeometricObject {
         this.rayLength = this.validateRayLength(rayLength);
         this.radius = 8;    // Visual radius for rendering
         this.emitFromSurface = emitFromSurface;
+        this.spectralSamples = this.validateSpectralSamples(spectralSamples);
+        this.rayColor = this.validateRayColor(rayColor);
+        this.intensity = this.validateIntensity(intensity);
+        this.sampling = this.validateSampling(sampling);
     }
 
     /**
@@ -63,6 +89,50 @@ export default class FocalPoint extends GeometricObject {
         return value;
     }
 
+    /**
+     * Validate spectral sample count (0 = white light, max 32 wavelengths)
+     */
+    validateSpectralSamples(value) {
+        const count = Math.max(0, Math.min(32, Math.floor(value)));
+        if (count !== value) {
+            console.warn(`Spectral samples clamped from ${value} to ${count}`);
+        }
+        return count;
+    }
+
+    /**
+     * Validate ray color (a #rrggbb hex string, or null to use the global ray color)
+     */
+    validateRayColor(value) {
+        if (value === null || /^#[0-9a-fA-F]{6}$/.test(value)) {
+            return value;
+        }
+        console.warn(`Invalid ray color ${value}, using the global ray color`);
+        return null;
+    }
+
+    /**
+     * Validate intensity (0.01 - 1)
+     */
+    validateIntensity(value) {
+        const clamped = Math.max(0.01, Math.min(1, value));
+        if (clamped !== value) {
+            console.warn(`Intensity clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    /**
+     * Validate sampling mode (must be one of SAMPLING_MODES)
+     */
+    validateSampling(value) {
+        if (!FocalPoint.SAMPLING_MODES.includes(value)) {
+            console.warn(`Unknown sampling mode ${value}, using 'uniform'`);
+            return 'uniform';
+        }
+        return value;
+    }
+
     /**
      * Get ray count
      */
@@ -91,6 +161,13 @@ export default class FocalPoint extends GeometricObject {
         this.rayLength = this.validateRayLength(length);
     }
 
+    /**
+     * Light sources don't obstruct rays, so they never act as a medium
+     */
+    hasInterior() {
+        return false;
+    }
+
     /**
      * Get visual radius
      */
@@ -158,21 +235,89 @@ export default class FocalPoint extends GeometricObject {
         this.emitFromSurface = Boolean(value);
     }
 
+    /**
+     * Get spectral sample count
+     */
+    getSpectralSamples() {
+        return this.spectralSamples;
+    }
+
+    /**
+     * Set spectral sample count
+     */
+    setSpectralSamples(count) {
+        this.spectralSamples = this.validateSpectralSamples(count);
+    }
+
+    /**
+     * Get ray color (null = global ray color)
+     */
+    getRayColor() {
+        return this.rayColor;
+    }
+
+    /**
+     * Set ray color (null = global ray color)
+     */
+    setRayColor(color) {
+        this.rayColor = this.validateRayColor(color);
+    }
+
+    /**
+     * Get intensity
+     */
+    getIntensity() {
+        return this.intensity;
+    }
+
+    /**
+     * Set intensity
+     */
+    setIntensity(value) {
+        this.intensity = this.validateIntensity(value);
+    }
+
+    /**
+     * Get sampling mode
+     */
+    getSampling() {
+        return this.sampling;
+    }
+
+    /**
+     * Set sampling mode
+     */
+    setSampling(mode) {
+        this.sampling = this.validateSampling(mode);
+    }
+
+    /**
+     * Check if this source samples its rays at random (Monte Carlo)
+     */
+    isStochastic() {
+        return this.sampling === 'stochastic';
+    }
+
+    /**
+     * Get the wavelengths emitted along each ray direction
+     * Returns [null] for white (undispersed) light
+     */
+    getWavelengths() {
+        if (this.spectralSamples === 0) {
+            return [null];
+        }
+        return Spectrum.sampleWavelengths(this.spectralSamples);
+    }
+
     /**
      * Generate ray origins and directions
      * Returns array of {origin, direction} for rays emitted from the surface
+     * @param {Random|null} random - Sample the surface at random instead of evenly (stochastic mode)
      */
-    getRayOriginsAndDirections() {
+    getRayOriginsAndDirections(random = null) {
         const rays = [];
-        const angleStep = (2 * Math.PI) / this.rayCount;
-
-        for (let i = 0; i < this.rayCount; i++) {
-            const angle = i * angleStep + this.rotation;
-            const direction = {
-                x: Math.cos(angle),
-                y: Math.sin(angle)
-            };
 
+        this.getRayDirections(random).forEach(direction => {
             // Ray origin is on the surface of the focal point
             const origin = {
                 x: this.position.x + this.radius * direction.x,
@@ -180,7 +325,7 @@ export default class FocalPoint extends GeometricObject {
             };
 
             rays.push({ origin, direction });
-        }
+        });
 
         return rays;
     }
@@ -188,13 +333,14 @@ export default class FocalPoint extends GeometricObject {
     /**
      * Generate ray directions
      * Returns array of unit vectors representing ray directions
+     * @param {Random|null} random - Draw uniformly random angles instead of even steps (stochastic mode)
      */
-    getRayDirections() {
+    getRayDirections(random = null) {
         const directions = [];
         const angleStep = (2 * Math.PI) / this.rayCount;
 
         for (let i = 0; i < this.rayCount; i++) {
-            const angle = i * angleStep + this.rotation;
+            const angle = (random ? random.next() * 2 * Math.PI : i * angleStep) + this.rotation;
             directions.push({
                 x: Math.cos(angle),
                 y: Math.sin(angle)
@@ -212,7 +358,12 @@ export default class FocalPoint extends GeometricObject {
             ...super.toJSON(),
             rayCount: this.rayCount,
             rayLength: this.rayLength,
-            radius: this.radius
+            radius: this.radius,
+            emitFromSurface: this.emitFromSurface,
+            spectralSamples: this.spectralSamples,
+            rayColor: this.rayColor,
+            intensity: this.intensity,
+            sampling: this.sampling
         }
     }
 
@@ -224,6 +375,11 @@ export default class FocalPoint extends GeometricObject {
         if (json.rayCount !== undefined) this.rayCount = this.validateRayCount(json.rayCount);
         if (json.rayLength!== undefined) this.rayLength = this.validateRayLength(json.rayLength);
         if (json.radius !== undefined) this.radius = Math.max(1, json.radius);
+        if (json.emitFromSurface !== undefined) this.emitFromSurface = Boolean(json.emitFromSurface);
+        if (json.spectralSamples !== undefined) this.spectralSamples = this.validateSpectralSamples(json.spectralSamples);
+        if (json.rayColor !== undefined) this.rayColor = this.validateRayColor(json.rayColor);
+        if (json.intensity !== undefined) this.intensity = this.validateIntensity(json.intensity);
+        if (json.sampling !== undefined) this.sampling = this.validateSampling(json.sampling);
     }
 
     /**
@@ -91,6 +91,37 @@ export default class GeometricObject {
         this.material = material;
     }
 
+    /**
+     * Whether rays can travel inside this object (i.e. it can act as a medium)
+     * Thin surfaces such as mirrors override this to return false
+     * @returns {boolean}
+     */
+    hasInterior() {
+        return true;
+    }
+
+    /**
+     * Get the refractive index of this object's material at a world point
+     * Gradient-index materials are evaluated in the object's local frame so the
+     * gradient moves and rotates with the object
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number|null} wavelength - Wavelength in nanometers
+     * @returns {number} Refractive index
+     */
+    getRefractiveIndexAt(x, y, wavelength = null) {
+        if (!this.material.hasGradient()) {
+            return this.material.getRefractiveIndex(wavelength);
+        }
+
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        return this.material.getRefractiveIndexAt(dx * cos - dy * sin, dx * sin + dy * cos, wavelength);
+    }
+
     // Serialize to JSON
     toJSON() {
         return {
@@ -0,0 +1,202 @@
+/**
+ * file: src/geometry/LaserSource.js
+ * desc: Defines a laser emitter firing a single ray or a tight parallel bundle.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import FocalPoint from './FocalPoint.js';
+
+/**
+ * LaserSource - A precisely aimed, narrow beam
+ * The laser housing sits behind the source's position, which is the output aperture.
+ * With a beam diameter of 0 (or a single ray) it fires exactly one ray along its rotation;
+ * otherwise rayCount parallel rays span the diameter, edges included.
+ */
+export default class LaserSource extends FocalPoint {
+    // Size (px) of the housing drawn behind the aperture
+    static HOUSING_LENGTH = 28;
+    static HOUSING_WIDTH = 10;
+
+    constructor({
+        id = null,
+        x = 400,
+        y = 300,
+        rayCount = 1,           // Rays in the bundle
+        rayLength = 10000,
+        beamDiameter = 0,       // Bundle diameter (px, 0 = single ray)
+        rotation = 0,           // Beam direction (radians)
+        edgeColor = '#aaaaaa',
+        fillColor = '#333333',
+        material = null,
+        spectralSamples = 0,
+        rayColor = '#ff3366',
+        intensity = 1.0,
+        sampling = 'uniform'
+    } = {}) {
+        super({
+            id,
+            x,
+            y,
+            rayCount,
+            rayLength,
+            rotation,
+            edgeColor,
+            fillColor,
+            material,
+            spectralSamples,
+            rayColor,
+            intensity,
+            sampling
+        });
+
+        this.type = 'LaserSource';
+        this.beamDiameter = this.validateBeamDiameter(beamDiameter);
+    }
+
+    /**
+     * Validate beam diameter (0 to 200 px)
+     */
+    validateBeamDiameter(value) {
+        const clamped = Math.max(0, Math.min(200, value));
+        if (clamped !== value) {
+            console.warn(`Beam diameter clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Beam diameter getter
+    getBeamDiameter() {
+        return this.beamDiameter;
+    }
+
+    // Beam diameter setter
+    setBeamDiameter(diameter) {
+        this.beamDiameter = this.validateBeamDiameter(diameter);
+    }
+
+    /**
+     * Get the unit direction the laser fires in
+     */
+    getDirection() {
+        return { x: Math.cos(this.rotation), y: Math.sin(this.rotation) };
+    }
+
+    /**
+     * Generate ray origins and directions
+     * Bundle rays span the diameter evenly, or are placed at random across it
+     * when given a random generator (stochastic mode)
+     */
+    getRayOriginsAndDirections(random = null) {
+        const direction = this.getDirection();
+
+        // A single ray, or a bundle with no width, is just the center ray
+        if (this.rayCount === 1 || this.beamDiameter === 0) {
+            return [{ origin: { ...this.position }, direction }];
+        }
+
+        const across = { x: -direction.y, y: direction.x };
+        const rays = [];
+
+        for (let i = 0; i < this.rayCount; i++) {
+            const t = random ? random.next() : i / (this.rayCount - 1);
+            const offset = this.beamDiameter * (t - 0.5);
+            rays.push({
+                origin: {
+                    x: this.position.x + across.x * offset,
+                    y: this.position.y + across.y * offset
+                },
+                direction: { ...direction }
+            });
+        }
+
+        return rays;
+    }
+
+    /**
+     * Generate ray directions (every ray in the bundle shares one direction)
+     */
+    getRayDirections(random = null) {
+        return this.getRayOriginsAndDirections(random).map(ray => ray.direction);
+    }
+
+    /**
+     * Get vertices (corners of the housing, which ends at the aperture)
+     */
+    getVertices() {
+        const direction = this.getDirection();
+        const across = { x: -direction.y, y: direction.x };
+        const halfWidth = Math.max(LaserSource.HOUSING_WIDTH, this.beamDiameter) / 2;
+        const back = {
+            x: this.position.x - direction.x * LaserSource.HOUSING_LENGTH,
+            y: this.position.y - direction.y * LaserSource.HOUSING_LENGTH
+        };
+
+        return [
+            { x: back.x - across.x * halfWidth, y: back.y - across.y * halfWidth },
+            { x: this.position.x - across.x * halfWidth, y: this.position.y - across.y * halfWidth },
+            { x: this.position.x + across.x * halfWidth, y: this.position.y + across.y * halfWidth },
+            { x: back.x + across.x * halfWidth, y: back.y + across.y * halfWidth }
+        ];
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        const vertices = this.getVertices();
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Check if a point is inside the housing
+     */
+    containsPoint(x, y) {
+        // Transform point to local coordinates (x along the beam, y across it)
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+        const halfWidth = Math.max(LaserSource.HOUSING_WIDTH, this.beamDiameter) / 2;
+
+        return localX >= -LaserSource.HOUSING_LENGTH && localX <= 0 && Math.abs(localY) <= halfWidth;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            beamDiameter: this.beamDiameter
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.beamDiameter !== undefined) this.beamDiameter = this.validateBeamDiameter(json.beamDiameter);
+    }
+
+    /**
+     * Create LaserSource from JSON
+     */
+    static fromJSON(json) {
+        const source = new LaserSource(json);
+        source.updateFromJSON(json);
+        return source;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * file: src/geometry/Lens.js
+ * desc: Implements a lens object bounded by two spherical surfaces.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+import GeometryMath from '@/utils/math/GeometryMath.js';
+
+/**
+ * Lens shape defined by two surface radii of curvature, a center thickness and an aperture
+ *
+ * In local coordinates the optical axis runs along x. The left surface vertex sits at
+ * x = -thickness/2 and the right surface vertex at x = +thickness/2.
+ * Radius sign convention (for both surfaces):
+ *  - positive = convex (bulges away from the lens center)
+ *  - negative = concave (curves toward the lens center)
+ *  - zero     = flat
+ */
+export default class Lens extends GeometricObject {
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        r1 = 100,           // left surface radius of curvature
+        r2 = 100,           // right surface radius of curvature
+        thickness = 30,     // thickness along the optical axis
+        aperture = 100,     // full height of the lens
+        rotation = 0,
+        edgeColor = '#ffffff',
+        fillColor = '#666666',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'Lens',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.aperture = this.validateDimension(aperture, 'aperture');
+        this.r1 = this.validateRadius(r1, 'r1');
+        this.r2 = this.validateRadius(r2, 'r2');
+        this.thickness = this.validateThickness(thickness);
+    }
+
+    /**
+     * Validate dimension (must be positive)
+     */
+    validateDimension(value, name) {
+        if (value <= 0) {
+            console.warn(`${name} must be positive, setting to 1`);
+            return 1;
+        }
+        return value;
+    }
+
+    /**
+     * Validate radius of curvature
+     * A curved surface must be at least as wide as the aperture (|r| >= aperture / 2)
+     */
+    validateRadius(value, name) {
+        const minRadius = this.aperture / 2;
+        if (value !== 0 && Math.abs(value) < minRadius) {
+            const clamped = Math.sign(value) * minRadius;
+            console.warn(`${name} clamped from ${value} to ${clamped}`);
+            return clamped;
+        }
+        return value;
+    }
+
+    /**
+     * Validate thickness (surfaces must not cross within the aperture)
+     */
+    validateThickness(value) {
+        const minThickness = this.getMinThickness();
+        if (value < minThickness) {
+            console.warn(`Thickness clamped from ${value} to ${minThickness.toFixed(2)}`);
+            return minThickness;
+        }
+        return value;
+    }
+
+    /**
+     * Minimum center thickness so that the lens keeps a non-negative edge
+     */
+    getMinThickness() {
+        const halfAperture = this.aperture / 2;
+        const edgeSag = GeometryMath.sphericalSag(this.r1, halfAperture) +
+            GeometryMath.sphericalSag(this.r2, halfAperture);
+        return Math.max(1, edgeSag);
+    }
+
+    /**
+     * Local x coordinate of the left surface at height y
+     */
+    getLeftSurfaceX(y) {
+        return -this.thickness / 2 + GeometryMath.sphericalSag(this.r1, y);
+    }
+
+    /**
+     * Local x coordinate of the right surface at height y
+     */
+    getRightSurfaceX(y) {
+        return this.thickness / 2 - GeometryMath.sphericalSag(this.r2, y);
+    }
+
+    // r1 getter
+    getR1() {
+        return this.r1;
+    }
+
+    // r1 setter
+    setR1(value) {
+        this.r1 = this.validateRadius(value, 'r1');
+        this.thickness = this.validateThickness(this.thickness);
+    }
+
+    // r2 getter
+    getR2() {
+        return this.r2;
+    }
+
+    // r2 setter
+    setR2(value) {
+        this.r2 = this.validateRadius(value, 'r2');
+        this.thickness = this.validateThickness(this.thickness);
+    }
+
+    // Thickness getter
+    getThickness() {
+        return this.thickness;
+    }
+
+    // Thickness setter
+    setThickness(value) {
+        this.thickness = this.validateThickness(this.validateDimension(value, 'thickness'));
+    }
+
+    // Aperture getter
+    getAperture() {
+        return this.aperture;
+    }
+
+    // Aperture setter (radii and thickness are re-validated against the new aperture)
+    setAperture(value) {
+        this.aperture = this.validateDimension(value, 'aperture');
+        this.r1 = this.validateRadius(this.r1, 'r1');
+        this.r2 = this.validateRadius(this.r2, 'r2');
+        this.thickness = this.validateThickness(this.thickness);
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        const vertices = this.getVertices();
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Get vertices of lens outline (surfaces approximated as polylines)
+     * Traces the left surface top to bottom, then the right surface bottom to top
+     */
+    getVertices(pointsPerSurface = 16) {
+        const halfAperture = this.aperture / 2;
+        const localVertices = [];
+
+        for (let i = 0; i <= pointsPerSurface; i++) {
+            const y = -halfAperture + (i / pointsPerSurface) * this.aperture;
+            localVertices.push({ x: this.getLeftSurfaceX(y), y });
+        }
+        for (let i = pointsPerSurface; i >= 0; i--) {
+            const y = -halfAperture + (i / pointsPerSurface) * this.aperture;
+            localVertices.push({ x: this.getRightSurfaceX(y), y });
+        }
+
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const px = this.position.x;
+        const py = this.position.y;
+
+        // Transform to world coordinates with rotation
+        return localVertices.map(v => ({
+            x: px + v.x * cos - v.y * sin,
+            y: py + v.x * sin + v.y * cos
+        }));
+    }
+
+    /**
+     * Check if point is inside lens
+     * A point is inside if it is within the aperture and between both surfaces
+     */
+    containsPoint(x, y) {
+        // Transform point to local coordinates
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+
+        if (Math.abs(localY) > this.aperture / 2) {
+            return false;
+        }
+
+        return localX >= this.getLeftSurfaceX(localY) && localX <= this.getRightSurfaceX(localY);
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            r1: this.r1,
+            r2: this.r2,
+            thickness: this.thickness,
+            aperture: this.aperture
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.aperture !== undefined) this.aperture = this.validateDimension(json.aperture, 'aperture');
+        if (json.r1 !== undefined) this.r1 = this.validateRadius(json.r1, 'r1');
+        if (json.r2 !== undefined) this.r2 = this.validateRadius(json.r2, 'r2');
+        if (json.thickness !== undefined) this.thickness = this.validateThickness(json.thickness);
+    }
+
+    /**
+     * Create Lens from JSON
+     */
+    static fromJSON(json) {
+        const lens = new Lens(json);
+        lens.updateFromJSON(json);
+        return lens;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * file: src/geometry/LineSource.js
+ * desc: Defines a line (area) light source emitting from points along a segment.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import FocalPoint from './FocalPoint.js';
+
+/**
+ * LineSource - An extended source made of evenly spaced emitters along a segment
+ * The segment is perpendicular to the source's rotation and centered on its position.
+ * Each emitter sends raysPerPoint rays in a fan of spreadAngle around the rotation
+ * (and the opposite direction too when two-sided).
+ */
+export default class LineSource extends FocalPoint {
+    // Distance (px) from the segment within which a point counts as "on" it (for selection)
+    static PICK_TOLERANCE = 5;
+
+    constructor({
+        id = null,
+        x = 400,
+        y = 300,
+        rayCount = 8,               // Emitting points along the segment
+        raysPerPoint = 5,
+        rayLength = 10000,
+        length = 120,
+        spreadAngle = Math.PI / 2,  // Fan angle at each point (radians)
+        twoSided = false,
+        rotation = 0,               // Emission direction (radians)
+        edgeColor = '#ffff00',
+        fillColor = '#ffff00',
+        material = null,
+        spectralSamples = 0,
+        rayColor = null,
+        intensity = 1.0,
+        sampling = 'uniform'
+    } = {}) {
+        super({
+            id,
+            x,
+            y,
+            rayCount,
+            rayLength,
+            rotation,
+            edgeColor,
+            fillColor,
+            material,
+            spectralSamples,
+            rayColor,
+            intensity,
+            sampling
+        });
+
+        this.type = 'LineSource';
+        this.length = this.validateLength(length);
+        this.raysPerPoint = this.validateRaysPerPoint(raysPerPoint);
+        this.spreadAngle = this.validateSpreadAngle(spreadAngle);
+        this.twoSided = Boolean(twoSided);
+    }
+
+    /**
+     * Validate length (must be positive)
+     */
+    validateLength(value) {
+        if (value <= 0) {
+            console.warn('Length must be positive, setting to 1');
+            return 1;
+        }
+        return value;
+    }
+
+    /**
+     * Validate rays per emitting point (1-36)
+     */
+    validateRaysPerPoint(value) {
+        const count = Math.max(1, Math.min(36, Math.floor(value)));
+        if (count !== value) {
+            console.warn(`Rays per point clamped from ${value} to ${count}`);
+        }
+        return count;
+    }
+
+    /**
+     * Validate spread angle (0 = parallel rays, up to a half-plane)
+     */
+    validateSpreadAngle(value) {
+        const clamped = Math.max(0, Math.min(Math.PI, value));
+        if (clamped !== value) {
+            console.warn(`Spread angle clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Length getter
+    getLength() {
+        return this.length;
+    }
+
+    // Length setter
+    setLength(length) {
+        this.length = this.validateLength(length);
+    }
+
+    // Rays per point getter
+    getRaysPerPoint() {
+        return this.raysPerPoint;
+    }
+
+    // Rays per point setter
+    setRaysPerPoint(count) {
+        this.raysPerPoint = this.validateRaysPerPoint(count);
+    }
+
+    // Spread angle getter (radians)
+    getSpreadAngle() {
+        return this.spreadAngle;
+    }
+
+    // Spread angle setter (radians)
+    setSpreadAngle(radians) {
+        this.spreadAngle = this.validateSpreadAngle(radians);
+    }
+
+    // Two-sided getter
+    getTwoSided() {
+        return this.twoSided;
+    }
+
+    // Two-sided setter
+    setTwoSided(value) {
+        this.twoSided = Boolean(value);
+    }
+
+    /**
+     * Get the two ends of the segment in world coordinates
+     */
+    getEndpoints() {
+        const half = this.length / 2;
+        const along = { x: -Math.sin(this.rotation), y: Math.cos(this.rotation) };
+
+        return [
+            { x: this.position.x - along.x * half, y: this.position.y - along.y * half },
+            { x: this.position.x + along.x * half, y: this.position.y + along.y * half }
+        ];
+    }
+
+    /**
+     * Get the emission angles used at a point on the segment
+     * Angles sit at the centers of equal slices of the fan, so no ray grazes the segment.
+     * With a random generator (stochastic mode) they are drawn uniformly within the fan.
+     */
+    getEmissionAngles(random = null) {
+        const angles = [];
+        const sides = this.twoSided ? [0, Math.PI] : [0];
+
+        sides.forEach(side => {
+            for (let j = 0; j < this.raysPerPoint; j++) {
+                const t = random ? random.next() : (j + 0.5) / this.raysPerPoint;
+                const offset = this.spreadAngle * (t - 0.5);
+                angles.push(this.rotation + side + offset);
+            }
+        });
+
+        return angles;
+    }
+
+    /**
+     * Generate ray origins and directions
+     * Emitting points sit at the centers of rayCount equal slices of the segment. With a random
+     * generator (stochastic mode) each point and its fan are drawn at random instead.
+     */
+    getRayOriginsAndDirections(random = null) {
+        const [start, end] = this.getEndpoints();
+        const angles = this.getEmissionAngles();
+        const rays = [];
+
+        for (let i = 0; i < this.rayCount; i++) {
+            const t = random ? random.next() : (i + 0.5) / this.rayCount;
+            const origin = {
+                x: start.x + (end.x - start.x) * t,
+                y: start.y + (end.y - start.y) * t
+            };
+
+            (random ? this.getEmissionAngles(random) : angles).forEach(angle => {
+                rays.push({
+                    origin: { ...origin },
+                    direction: { x: Math.cos(angle), y: Math.sin(angle) }
+                });
+            });
+        }
+
+        return rays;
+    }
+
+    /**
+     * Generate ray directions (the fan emitted from each point)
+     */
+    getRayDirections(random = null) {
+        return this.getEmissionAngles(random).map(angle => ({ x: Math.cos(angle), y: Math.sin(angle) }));
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        const [p1, p2] = this.getEndpoints();
+
+        return {
+            minX: Math.min(p1.x, p2.x) - this.radius,
+            minY: Math.min(p1.y, p2.y) - this.radius,
+            maxX: Math.max(p1.x, p2.x) + this.radius,
+            maxY: Math.max(p1.y, p2.y) + this.radius
+        };
+    }
+
+    /**
+     * Get vertices (a box around the segment, radius thick on each side)
+     */
+    getVertices() {
+        const [p1, p2] = this.getEndpoints();
+        const normal = { x: Math.cos(this.rotation), y: Math.sin(this.rotation) };
+        const depth = this.radius / 2;
+
+        return [
+            { x: p1.x - normal.x * depth, y: p1.y - normal.y * depth },
+            { x: p2.x - normal.x * depth, y: p2.y - normal.y * depth },
+            { x: p2.x + normal.x * depth, y: p2.y + normal.y * depth },
+            { x: p1.x + normal.x * depth, y: p1.y + normal.y * depth }
+        ];
+    }
+
+    /**
+     * Check if a point lies on the segment (within PICK_TOLERANCE, for selection)
+     */
+    containsPoint(x, y) {
+        // Transform point to local coordinates (x along the emission direction, y along the segment)
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+
+        return Math.abs(localY) <= this.length / 2 + LineSource.PICK_TOLERANCE &&
+            Math.abs(localX) <= LineSource.PICK_TOLERANCE;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            length: this.length,
+            raysPerPoint: this.raysPerPoint,
+            spreadAngle: this.spreadAngle,
+            twoSided: this.twoSided
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.length !== undefined) this.length = this.validateLength(json.length);
+        if (json.raysPerPoint !== undefined) this.raysPerPoint = this.validateRaysPerPoint(json.raysPerPoint);
+        if (json.spreadAngle !== undefined) this.spreadAngle = this.validateSpreadAngle(json.spreadAngle);
+        if (json.twoSided !== undefined) this.twoSided = Boolean(json.twoSided);
+    }
+
+    /**
+     * Create LineSource from JSON
+     */
+    static fromJSON(json) {
+        const source = new LineSource(json);
+        source.updateFromJSON(json);
+        return source;
+    }
+}
\ No newline at end of file
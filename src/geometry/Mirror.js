@@ -0,0 +1,185 @@
+/**
+ * file: src/geometry/Mirror.js
+ * desc: Implements a thin, one-dimensional surface (mirror, beam splitter or blocker).
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+import Material from '@/models/Material.js';
+
+/**
+ * Mirror - A line segment with no interior
+ * Rays interact with it without ever entering it, so it never becomes a ray's medium.
+ * Modes:
+ *  - 'mirror'   - reflects all non-absorbed light
+ *  - 'splitter' - reflects a share (material reflectivity) and transmits the rest undeviated
+ *  - 'blocker'  - absorbs all light
+ */
+export default class Mirror extends GeometricObject {
+    static MODES = ['mirror', 'splitter', 'blocker'];
+
+    // Distance (px) from the segment within which a point counts as "on" it (for selection)
+    static PICK_TOLERANCE = 5;
+
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        length = 100,
+        mode = 'mirror',
+        rotation = 0,
+        edgeColor = '#c0d8ff',
+        fillColor = '#c0d8ff',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'Mirror',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            // A perfect mirror by default: nothing is absorbed
+            material: material || new Material({ absorptance: 0 })
+        });
+
+        this.length = this.validateLength(length);
+        this.mode = this.validateMode(mode);
+    }
+
+    /**
+     * Validate length (must be positive)
+     */
+    validateLength(value) {
+        if (value <= 0) {
+            console.warn('Length must be positive, setting to 1');
+            return 1;
+        }
+        return value;
+    }
+
+    /**
+     * Validate mode (must be one of MODES)
+     */
+    validateMode(value) {
+        if (!Mirror.MODES.includes(value)) {
+            console.warn(`Unknown mirror mode ${value}, using 'mirror'`);
+            return 'mirror';
+        }
+        return value;
+    }
+
+    /**
+     * Thin surfaces have no inside for rays to travel through
+     */
+    hasInterior() {
+        return false;
+    }
+
+    // Length getter
+    getLength() {
+        return this.length;
+    }
+
+    // Length setter
+    setLength(length) {
+        this.length = this.validateLength(length);
+    }
+
+    // Mode getter
+    getMode() {
+        return this.mode;
+    }
+
+    // Mode setter
+    setMode(mode) {
+        this.mode = this.validateMode(mode);
+    }
+
+    /**
+     * Get the two endpoints of the segment in world coordinates
+     */
+    getEndpoints() {
+        return this.getVertices();
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     * Padded slightly so axis-aligned segments still have a non-degenerate box
+     */
+    getBoundingBox() {
+        const [p1, p2] = this.getEndpoints();
+        const pad = 1;
+
+        return {
+            minX: Math.min(p1.x, p2.x) - pad,
+            minY: Math.min(p1.y, p2.y) - pad,
+            maxX: Math.max(p1.x, p2.x) + pad,
+            maxY: Math.max(p1.y, p2.y) + pad
+        };
+    }
+
+    /**
+     * Get vertices (the two endpoints)
+     */
+    getVertices() {
+        const halfLength = this.length / 2;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const px = this.position.x;
+        const py = this.position.y;
+
+        return [
+            { x: px - halfLength * cos, y: py - halfLength * sin },
+            { x: px + halfLength * cos, y: py + halfLength * sin }
+        ];
+    }
+
+    /**
+     * Check if a point lies on the segment (within PICK_TOLERANCE, for selection)
+     */
+    containsPoint(x, y) {
+        // Transform point to local coordinates
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+
+        return Math.abs(localX) <= this.length / 2 + Mirror.PICK_TOLERANCE &&
+            Math.abs(localY) <= Mirror.PICK_TOLERANCE;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            length: this.length,
+            mode: this.mode
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.length !== undefined) this.length = this.validateLength(json.length);
+        if (json.mode !== undefined) this.mode = this.validateMode(json.mode);
+    }
+
+    /**
+     * Create Mirror from JSON
+     */
+    static fromJSON(json) {
+        const mirror = new Mirror(json);
+        mirror.updateFromJSON(json);
+        return mirror;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * file: src/geometry/ObjectFactory.js
+ * desc: Reconstructs scene shapes from their serialized JSON by type.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import Rectangle from './Rectangle.js';
+import Square from './Square.js';
+import Ellipse from './Ellipse.js';
+import Circle from './Circle.js';
+import Triangle from './Triangle.js';
+import EquilateralTriangle from './EquilateralTriangle.js';
+import Lens from './Lens.js';
+import Polygon from './Polygon.js';
+import BezierShape from './BezierShape.js';
+import Mirror from './Mirror.js';
+import CurvedMirror from './CurvedMirror.js';
+import Detector from './Detector.js';
+import CompositeObject from './CompositeObject.js';
+import FocalPoint from './FocalPoint.js';
+import BeamSource from './BeamSource.js';
+import SpotLight from './SpotLight.js';
+import LineSource from './LineSource.js';
+import LaserSource from './LaserSource.js';
+
+/**
+ * ObjectFactory - Maps a serialized object's type to its class
+ * Used by scene import (shapes and light sources) and by composites to rebuild their children
+ */
+export default class ObjectFactory {
+    /**
+     * Create a shape from JSON
+     * @param {Object} json - Serialized object (from toJSON)
+     * @returns {GeometricObject|null} The object, or null if the type is unknown
+     */
+    static fromJSON(json) {
+        switch (json.type) {
+            case 'Rectangle':
+                return Rectangle.fromJSON(json);
+            case 'Square':
+                return Square.fromJSON(json);
+            case 'Ellipse':
+                return Ellipse.fromJSON(json);
+            case 'Circle':
+                return Circle.fromJSON(json);
+            case 'Triangle':
+                return Triangle.fromJSON(json);
+            case 'EquilateralTriangle':
+                return EquilateralTriangle.fromJSON(json);
+            case 'Lens':
+                return Lens.fromJSON(json);
+            case 'Polygon':
+                return Polygon.fromJSON(json);
+            case 'BezierShape':
+                return BezierShape.fromJSON(json);
+            case 'Mirror':
+                return Mirror.fromJSON(json);
+            case 'CurvedMirror':
+                return CurvedMirror.fromJSON(json);
+            case 'Detector':
+                return Detector.fromJSON(json);
+            case 'Composite':
+                return CompositeObject.fromJSON(json);
+            case 'FocalPoint':
+                return FocalPoint.fromJSON(json);
+            case 'BeamSource':
+                return BeamSource.fromJSON(json);
+            case 'SpotLight':
+                return SpotLight.fromJSON(json);
+            case 'LineSource':
+                return LineSource.fromJSON(json);
+            case 'LaserSource':
+                return LaserSource.fromJSON(json);
+            default:
+                console.warn(`Unknown object type: ${json.type}`);
+                return null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * file: src/geometry/Polygon.js
+ * desc: Implements an arbitrary (possibly concave) polygon object.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometricObject from './GeometricObject.js';
+
+/**
+ * Polygon shape defined by a list of vertices in local coordinates
+ * Vertices are relative to the polygon's position and rotated by its rotation
+ */
+export default class Polygon extends GeometricObject {
+    constructor({
+        id = null,
+        x = 0,
+        y = 0,
+        vertices = [
+            { x: -50, y: -40 },
+            { x: 50, y: -40 },
+            { x: 0, y: 40 }
+        ],
+        rotation = 0,
+        edgeColor = '#ffffff',
+        fillColor = '#666666',
+        material = null
+    } = {}) {
+        super({
+            id,
+            type: 'Polygon',
+            x,
+            y,
+            rotation,
+            edgeColor,
+            fillColor,
+            material
+        });
+
+        this.vertices = this.validateVertices(vertices);
+    }
+
+    /**
+     * Validate vertices (need at least 3 points)
+     */
+    validateVertices(vertices) {
+        if (!Array.isArray(vertices) || vertices.length < 3) {
+            console.warn('Polygon needs at least 3 vertices, keeping previous shape');
+            return this.vertices || [
+                { x: -50, y: -40 },
+                { x: 50, y: -40 },
+                { x: 0, y: 40 }
+            ];
+        }
+        return vertices.map(v => ({ x: v.x, y: v.y }));
+    }
+
+    /**
+     * Create a polygon from points given in world coordinates
+     * The polygon's position is placed at the average of the points
+     * @param {Array<{x: number, y: number}>} points - World-space vertices
+     * @param {Object} options - Other constructor options (colors, material, ...)
+     */
+    static fromWorldPoints(points, options = {}) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+        return new Polygon({
+            ...options,
+            x: cx,
+            y: cy,
+            vertices: points.map(p => ({ x: p.x - cx, y: p.y - cy }))
+        });
+    }
+
+    /**
+     * Get local vertices
+     */
+    getLocalVertices() {
+        return this.vertices.map(v => ({ ...v }));
+    }
+
+    /**
+     * Set local vertices
+     */
+    setLocalVertices(vertices) {
+        this.vertices = this.validateVertices(vertices);
+    }
+
+    /**
+     * Move a single vertex to a point given in world coordinates
+     * @param {number} index - Vertex index
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     */
+    moveVertex(index, x, y) {
+        if (index < 0 || index >= this.vertices.length) {
+            console.warn(`Vertex index ${index} out of range`);
+            return;
+        }
+
+        // Transform world point to local coordinates
+        const dx = x - this.position.x;
+        const dy = y - this.position.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+
+        this.vertices[index] = {
+            x: dx * cos - dy * sin,
+            y: dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Get editing handles (the vertices, in world coordinates)
+     */
+    getHandles() {
+        return this.getVertices();
+    }
+
+    /**
+     * Move an editing handle to a point in world coordinates
+     */
+    moveHandle(index, x, y) {
+        this.moveVertex(index, x, y);
+    }
+
+    /**
+     * Remove a vertex (polygon must keep at least 3)
+     */
+    removeVertex(index) {
+        if (this.vertices.length <= 3) {
+            console.warn('Polygon needs at least 3 vertices');
+            return;
+        }
+        this.vertices.splice(index, 1);
+    }
+
+    /**
+     * Get axis-aligned bounding box (AABB)
+     */
+    getBoundingBox() {
+        const vertices = this.getVertices();
+        const xs = vertices.map(v => v.x);
+        const ys = vertices.map(v => v.y);
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Get vertices of polygon in world coordinates
+     */
+    getVertices() {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const px = this.position.x;
+        const py = this.position.y;
+
+        // Transform to world coordinates with rotation
+        return this.vertices.map(v => ({
+            x: px + v.x * cos - v.y * sin,
+            y: py + v.x * sin + v.y * cos
+        }));
+    }
+
+    /**
+     * Check if point is inside polygon using the even-odd rule
+     * Casts a horizontal ray from the point and counts edge crossings,
+     * which works for concave (and self-intersecting) polygons
+     */
+    containsPoint(x, y) {
+        const vertices = this.getVertices();
+        let inside = false;
+
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+            const vi = vertices[i];
+            const vj = vertices[j];
+
+            const crossesY = (vi.y > y) !== (vj.y > y);
+            if (crossesY && x < (vj.x - vi.x) * (y - vi.y) / (vj.y - vi.y) + vi.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            vertices: this.getLocalVertices()
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.vertices !== undefined) this.vertices = this.validateVertices(json.vertices);
+    }
+
+    /**
+     * Create Polygon from JSON
+     */
+    static fromJSON(json) {
+        const polygon = new Polygon(json);
+        polygon.updateFromJSON(json);
+        return polygon;
+    }
+}
\ No newline at end of file
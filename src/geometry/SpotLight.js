@@ -0,0 +1,145 @@
+/**
+ * file: src/geometry/SpotLight.js
+ * desc: Defines a spotlight source emitting rays within a cone around its rotation.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import FocalPoint from './FocalPoint.js';
+
+/**
+ * SpotLight - A point source restricted to a cone
+ * The cone is centered on the source's rotation; coneAngle is its full opening angle.
+ */
+export default class SpotLight extends FocalPoint {
+    constructor({
+        id = null,
+        x = 400,
+        y = 300,
+        rayCount = 16,
+        rayLength = 10000,
+        coneAngle = Math.PI / 6,    // Full cone angle (radians)
+        rotation = 0,               // Cone axis (radians)
+        edgeColor = '#ffff00',
+        fillColor = '#ffff00',
+        material = null,
+        emitFromSurface = false,
+        spectralSamples = 0,
+        rayColor = null,
+        intensity = 1.0,
+        sampling = 'uniform'
+    } = {}) {
+        super({
+            id,
+            x,
+            y,
+            rayCount,
+            rayLength,
+            rotation,
+            edgeColor,
+            fillColor,
+            material,
+            emitFromSurface,
+            spectralSamples,
+            rayColor,
+            intensity,
+            sampling
+        });
+
+        this.type = 'SpotLight';
+        this.coneAngle = this.validateConeAngle(coneAngle);
+    }
+
+    /**
+     * Validate cone angle (1 degree to a full circle)
+     */
+    validateConeAngle(value) {
+        const min = Math.PI / 180;
+        const clamped = Math.max(min, Math.min(2 * Math.PI, value));
+        if (clamped !== value) {
+            console.warn(`Cone angle clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Cone angle getter (radians)
+    getConeAngle() {
+        return this.coneAngle;
+    }
+
+    // Cone angle setter (radians)
+    setConeAngle(radians) {
+        this.coneAngle = this.validateConeAngle(radians);
+    }
+
+    /**
+     * Generate ray directions
+     * Rays are spread evenly between the cone edges (edges included). A full-circle cone
+     * behaves like a focal point and doesn't emit the seam direction twice.
+     * With a random generator (stochastic mode) angles are drawn uniformly within the cone.
+     */
+    getRayDirections(random = null) {
+        const directions = [];
+        const fullCircle = this.coneAngle >= 2 * Math.PI;
+        const start = this.rotation - this.coneAngle / 2;
+
+        for (let i = 0; i < this.rayCount; i++) {
+            let angle;
+            if (random) {
+                angle = start + random.next() * this.coneAngle;
+            } else if (this.rayCount === 1) {
+                angle = this.rotation;
+            } else if (fullCircle) {
+                angle = start + i * this.coneAngle / this.rayCount;
+            } else {
+                angle = start + i * this.coneAngle / (this.rayCount - 1);
+            }
+            directions.push({ x: Math.cos(angle), y: Math.sin(angle) });
+        }
+
+        return directions;
+    }
+
+    /**
+     * Generate ray origins and directions
+     * Rays start at the center, or on the surface when emitting from the surface
+     */
+    getRayOriginsAndDirections(random = null) {
+        const offset = this.emitFromSurface ? this.radius : 0;
+
+        return this.getRayDirections(random).map(direction => ({
+            origin: {
+                x: this.position.x + offset * direction.x,
+                y: this.position.y + offset * direction.y
+            },
+            direction
+        }));
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            coneAngle: this.coneAngle
+        };
+    }
+
+    /**
+     * Update properties from plain object
+     */
+    updateFromJSON(json) {
+        super.updateFromJSON(json);
+        if (json.coneAngle !== undefined) this.coneAngle = this.validateConeAngle(json.coneAngle);
+    }
+
+    /**
+     * Create SpotLight from JSON
+     */
+    static fromJSON(json) {
+        const source = new SpotLight(json);
+        source.updateFromJSON(json);
+        return source;
+    }
+}
\ No newline at end of file
@@ -5,18 +5,83 @@
  * date: 17 October 2025
  */
 
+import Expression from '@/utils/math/Expression.js';
+
 /**
  * Material class representing optical properties of geometric objects
  */
 export default class Material {
+    // How the reflected/refracted split is computed at a surface:
+    //  'constant' - fixed split given by reflectivity
+    //  'schlick'  - Schlick's approximation of the Fresnel equations
+    //  'fresnel'  - full Fresnel equations (average of s and p polarizations)
+    static REFLECTANCE_MODELS = ['constant', 'schlick', 'fresnel'];
+
+    // How the refractive index varies with wavelength:
+    //  'none'      - refractiveIndex is used for every wavelength
+    //  'cauchy'    - n(λ) = A + B/λ² + C/λ⁴
+    //  'sellmeier' - n²(λ) = 1 + Σ Bᵢλ²/(λ² - Cᵢ)
+    // λ is in micrometers in both formulas. Defaults are for BK7 crown glass.
+    static DISPERSION_MODELS = ['none', 'cauchy', 'sellmeier'];
+    static DEFAULT_CAUCHY = { a: 1.5046, b: 0.0042, c: 0 };
+    static DEFAULT_SELLMEIER = {
+        b: [1.03961212, 0.231792344, 1.01046945],
+        c: [0.00600069867, 0.0200179144, 103.560653]
+    };
+
+    // How light leaves the surface:
+    //  'specular' - perfect mirror reflection and refraction
+    //  'diffuse'  - Lambertian scattering around the surface normal
+    //  'glossy'   - scattering around the specular direction, widened by roughness
+    static SURFACE_TYPES = ['specular', 'diffuse', 'glossy'];
+    static SCATTER_SAMPLING = ['fan', 'stochastic'];
+
+    // How the refractive index varies across the object (gradient-index / GRIN media):
+    //  'none'       - uniform index
+    //  'linear'     - changes by gradientStrength every gradientScale px along the object's local +y axis
+    //  'radial'     - n(r) = n0 - gradientStrength * (r / gradientScale)², r measured from the object's center
+    //  'expression' - n(x, y) given by gradientExpression, with x, y and r in local px
+    // x and y are in the object's local frame, so the gradient moves and rotates with the object.
+    static GRADIENT_MODELS = ['none', 'linear', 'radial', 'expression'];
+    static GRADIENT_VARIABLES = ['x', 'y', 'r'];
+    static DEFAULT_GRADIENT_EXPRESSION = '1.5 - 0.2 * (r / 100)^2';
+
     constructor({
         reflectivity = 0.5,
         refractiveIndex = 1.5,
-        absorptance = 0.5
+        absorptance = 0.5,
+        attenuationCoefficient = 0,
+        mediumPriority = 0,
+        reflectanceModel = 'constant',
+        surfaceType = 'specular',
+        roughness = 0.2,
+        scatterRayCount = 8,
+        scatterSampling = 'fan',
+        dispersionModel = 'none',
+        cauchyCoefficients = Material.DEFAULT_CAUCHY,
+        sellmeierCoefficients = Material.DEFAULT_SELLMEIER,
+        gradientModel = 'none',
+        gradientStrength = 0.2,
+        gradientScale = 100,
+        gradientExpression = Material.DEFAULT_GRADIENT_EXPRESSION
     } = {}) {
         this.reflectivity = this.validateReflectivity(reflectivity);
         this.refractiveIndex = this.validateRefractiveIndex(refractiveIndex);
         this.absorptance = this.validateAbsorptance(absorptance);
+        this.attenuationCoefficient = this.validateAttenuationCoefficient(attenuationCoefficient);
+        this.mediumPriority = this.validateMediumPriority(mediumPriority);
+        this.reflectanceModel = this.validateReflectanceModel(reflectanceModel);
+        this.surfaceType = this.validateSurfaceType(surfaceType);
+        this.roughness = this.validateRoughness(roughness);
+        this.scatterRayCount = this.validateScatterRayCount(scatterRayCount);
+        this.scatterSampling = this.validateScatterSampling(scatterSampling);
+        this.dispersionModel = this.validateDispersionModel(dispersionModel);
+        this.cauchyCoefficients = this.validateCauchyCoefficients(cauchyCoefficients);
+        this.sellmeierCoefficients = this.validateSellmeierCoefficients(sellmeierCoefficients);
+        this.gradientModel = this.validateGradientModel(gradientModel);
+        this.gradientStrength = this.validateGradientStrength(gradientStrength);
+        this.gradientScale = this.validateGradientScale(gradientScale);
+        this.gradientExpression = this.validateGradientExpression(gradientExpression);
     }
 
     // Validate reflectivity (0 = no reflection, 1 = perfect mirror)
@@ -52,6 +117,255 @@ export default class Material {
         return clamped;
     }
 
+    // Validate attenuation coefficient per unit length (0.0 = no attenuation inside the medium, 1.0 = max)
+    validateAttenuationCoefficient(value) {
+        // value must fall within [0.0, 1.0]
+        const clamped = Math.max(0.0, Math.min(1.0, value));
+        // Send a warning message to the console if value was invalid
+        if (clamped !== value) {
+            console.warn(`Attenuation coefficient clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Validate medium priority (where objects overlap, the higher priority medium fills the overlap)
+    validateMediumPriority(value) {
+        // value must be an integer within [0, 10]
+        const clamped = Math.max(0, Math.min(10, Math.round(value)));
+        // Send a warning message to the console if value was invalid
+        if (clamped !== value) {
+            console.warn(`Medium priority clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    /**
+     * Get the fraction of light remaining after traveling through this medium (Beer-Lambert law)
+     * @param {number} distance - Distance traveled inside the medium
+     * @returns {number} Transmittance (0-1)
+     */
+    getTransmittance(distance) {
+        if (this.attenuationCoefficient === 0) {
+            return 1;
+        }
+        return Math.exp(-this.attenuationCoefficient * distance);
+    }
+
+    // Validate reflectance model (must be one of REFLECTANCE_MODELS)
+    validateReflectanceModel(value) {
+        if (!Material.REFLECTANCE_MODELS.includes(value)) {
+            console.warn(`Unknown reflectance model ${value}, using 'constant'`);
+            return 'constant';
+        }
+        return value;
+    }
+
+    // Validate surface type (must be one of SURFACE_TYPES)
+    validateSurfaceType(value) {
+        if (!Material.SURFACE_TYPES.includes(value)) {
+            console.warn(`Unknown surface type ${value}, using 'specular'`);
+            return 'specular';
+        }
+        return value;
+    }
+
+    // Validate roughness (0.0 = mirror-smooth, 1.0 = as rough as a diffuse surface)
+    validateRoughness(value) {
+        // value must fall within [0.0, 1.0]
+        const clamped = Math.max(0.0, Math.min(1.0, value));
+        // Send a warning message to the console if value was invalid
+        if (clamped !== value) {
+            console.warn(`Roughness clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Validate scattered ray count (rays spawned per outgoing direction, 1-16)
+    validateScatterRayCount(value) {
+        const count = Math.max(1, Math.min(16, Math.floor(value)));
+        if (count !== value) {
+            console.warn(`Scatter ray count clamped from ${value} to ${count}`);
+        }
+        return count;
+    }
+
+    // Validate scatter sampling (must be one of SCATTER_SAMPLING)
+    validateScatterSampling(value) {
+        if (!Material.SCATTER_SAMPLING.includes(value)) {
+            console.warn(`Unknown scatter sampling ${value}, using 'fan'`);
+            return 'fan';
+        }
+        return value;
+    }
+
+    /**
+     * Check if light leaving this surface is scattered rather than perfectly specular
+     * @returns {boolean}
+     */
+    isScattering() {
+        return this.surfaceType === 'diffuse' ||
+            (this.surfaceType === 'glossy' && this.roughness > 0);
+    }
+
+    /**
+     * Get the exponent of the cos^n scattering lobe
+     * Diffuse surfaces are Lambertian (n = 1); glossy lobes tighten as roughness decreases
+     * @returns {number} Lobe exponent
+     */
+    getScatterExponent() {
+        if (this.surfaceType === 'diffuse') {
+            return 1;
+        }
+        return Math.max(1, 2 / (this.roughness * this.roughness) - 2);
+    }
+
+    // Validate dispersion model (must be one of DISPERSION_MODELS)
+    validateDispersionModel(value) {
+        if (!Material.DISPERSION_MODELS.includes(value)) {
+            console.warn(`Unknown dispersion model ${value}, using 'none'`);
+            return 'none';
+        }
+        return value;
+    }
+
+    // Validate Cauchy coefficients (missing or invalid terms fall back to defaults)
+    validateCauchyCoefficients(value) {
+        const defaults = Material.DEFAULT_CAUCHY;
+        const coefficients = {};
+        for (const key of ['a', 'b', 'c']) {
+            const term = value ? value[key] : undefined;
+            coefficients[key] = Number.isFinite(term) ? term : defaults[key];
+        }
+        return coefficients;
+    }
+
+    // Validate Sellmeier coefficients (three B and three C terms)
+    validateSellmeierCoefficients(value) {
+        const defaults = Material.DEFAULT_SELLMEIER;
+        const coefficients = { b: [], c: [] };
+        for (const key of ['b', 'c']) {
+            for (let i = 0; i < 3; i++) {
+                const term = value && value[key] ? value[key][i] : undefined;
+                coefficients[key].push(Number.isFinite(term) ? term : defaults[key][i]);
+            }
+        }
+        return coefficients;
+    }
+
+    /**
+     * Get the refractive index for a given wavelength
+     * Rays without a wavelength (white light) always use refractiveIndex
+     * @param {number|null} wavelength - Wavelength in nanometers
+     * @returns {number} Refractive index
+     */
+    getRefractiveIndex(wavelength = null) {
+        if (wavelength === null || this.dispersionModel === 'none') {
+            return this.refractiveIndex;
+        }
+
+        const lambda = wavelength / 1000;   // nm -> um
+        const lambda2 = lambda * lambda;
+        let n;
+
+        if (this.dispersionModel === 'cauchy') {
+            const { a, b, c } = this.cauchyCoefficients;
+            n = a + b / lambda2 + c / (lambda2 * lambda2);
+        } else {
+            const { b, c } = this.sellmeierCoefficients;
+            let n2 = 1;
+            for (let i = 0; i < 3; i++) {
+                n2 += (b[i] * lambda2) / (lambda2 - c[i]);
+            }
+            n = Math.sqrt(Math.max(1, n2));
+        }
+
+        // Keep within the same range as refractiveIndex
+        return Math.max(1.0, Math.min(2.5, n));
+    }
+
+    // Validate gradient model (must be one of GRADIENT_MODELS)
+    validateGradientModel(value) {
+        if (!Material.GRADIENT_MODELS.includes(value)) {
+            console.warn(`Unknown gradient model ${value}, using 'none'`);
+            return 'none';
+        }
+        return value;
+    }
+
+    // Validate gradient strength (index change over one gradientScale, -1.0 to 1.0)
+    validateGradientStrength(value) {
+        // value must fall within [-1.0, 1.0]
+        const clamped = Math.max(-1.0, Math.min(1.0, value));
+        // Send a warning message to the console if value was invalid
+        if (clamped !== value) {
+            console.warn(`Gradient strength clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Validate gradient scale (distance in px over which the index changes by gradientStrength)
+    validateGradientScale(value) {
+        // value must fall within [1, 2000]
+        const clamped = Math.max(1, Math.min(2000, value));
+        // Send a warning message to the console if value was invalid
+        if (clamped !== value) {
+            console.warn(`Gradient scale clamped from ${value} to ${clamped}`);
+        }
+        return clamped;
+    }
+
+    // Validate gradient expression (must parse; falls back to the given expression otherwise)
+    validateGradientExpression(value, fallback = Material.DEFAULT_GRADIENT_EXPRESSION) {
+        if (!Expression.isValid(value, Material.GRADIENT_VARIABLES)) {
+            console.warn(`Invalid gradient expression ${value}, using ${fallback}`);
+            return fallback;
+        }
+        return value;
+    }
+
+    /**
+     * Check if the refractive index varies across the object (rays inside follow curved paths)
+     * @returns {boolean}
+     */
+    hasGradient() {
+        return this.gradientModel !== 'none';
+    }
+
+    /**
+     * Get the refractive index at a point inside the object
+     * The gradient is added on top of the (possibly dispersive) base index
+     * @param {number} x - X coordinate in the object's local frame
+     * @param {number} y - Y coordinate in the object's local frame
+     * @param {number|null} wavelength - Wavelength in nanometers
+     * @returns {number} Refractive index
+     */
+    getRefractiveIndexAt(x, y, wavelength = null) {
+        const base = this.getRefractiveIndex(wavelength);
+        const r = Math.sqrt(x * x + y * y);
+        let offset;
+
+        switch (this.gradientModel) {
+            case 'linear':
+                offset = this.gradientStrength * (y / this.gradientScale);
+                break;
+            case 'radial':
+                offset = -this.gradientStrength * Math.pow(r / this.gradientScale, 2);
+                break;
+            case 'expression': {
+                // The expression gives the absolute index for the base refractive index
+                const evaluate = Expression.compile(this.gradientExpression, Material.GRADIENT_VARIABLES);
+                const n = evaluate({ x, y, r });
+                offset = Number.isFinite(n) ? n - this.refractiveIndex : 0;
+                break;
+            }
+            default:
+                return base;
+        }
+
+        // Keep within the same range as refractiveIndex
+        return Math.max(1.0, Math.min(2.5, base + offset));
+    }
+
     // Reflectivity setter
     setReflectivity(value) {
         this.reflectivity = this.validateReflectivity(value);
@@ -67,12 +381,99 @@ export default class Material {
         this.absorptance = this.validateAbsorptance(value);
     }
 
+    // Attenuation coefficient setter
+    setAttenuationCoefficient(value) {
+        this.attenuationCoefficient = this.validateAttenuationCoefficient(value);
+    }
+
+    // Medium priority setter
+    setMediumPriority(value) {
+        this.mediumPriority = this.validateMediumPriority(value);
+    }
+
+    // Reflectance model setter
+    setReflectanceModel(value) {
+        this.reflectanceModel = this.validateReflectanceModel(value);
+    }
+
+    // Surface type setter
+    setSurfaceType(value) {
+        this.surfaceType = this.validateSurfaceType(value);
+    }
+
+    // Roughness setter
+    setRoughness(value) {
+        this.roughness = this.validateRoughness(value);
+    }
+
+    // Scatter ray count setter
+    setScatterRayCount(value) {
+        this.scatterRayCount = this.validateScatterRayCount(value);
+    }
+
+    // Scatter sampling setter
+    setScatterSampling(value) {
+        this.scatterSampling = this.validateScatterSampling(value);
+    }
+
+    // Dispersion model setter
+    setDispersionModel(value) {
+        this.dispersionModel = this.validateDispersionModel(value);
+    }
+
+    // Cauchy coefficients setter (partial updates are merged)
+    setCauchyCoefficients(value) {
+        this.cauchyCoefficients = this.validateCauchyCoefficients({ ...this.cauchyCoefficients, ...value });
+    }
+
+    // Sellmeier coefficients setter
+    setSellmeierCoefficients(value) {
+        this.sellmeierCoefficients = this.validateSellmeierCoefficients(value);
+    }
+
+    // Gradient model setter
+    setGradientModel(value) {
+        this.gradientModel = this.validateGradientModel(value);
+    }
+
+    // Gradient strength setter
+    setGradientStrength(value) {
+        this.gradientStrength = this.validateGradientStrength(value);
+    }
+
+    // Gradient scale setter
+    setGradientScale(value) {
+        this.gradientScale = this.validateGradientScale(value);
+    }
+
+    // Gradient expression setter (an invalid expression keeps the current one)
+    setGradientExpression(value) {
+        this.gradientExpression = this.validateGradientExpression(value, this.gradientExpression);
+    }
+
     // Create a copy of this material
     clone() {
         return new Material({
             reflectivity: this.reflectivity,
             refractiveIndex: this.refractiveIndex,
             absorptance: this.absorptance,
+            attenuationCoefficient: this.attenuationCoefficient,
+            mediumPriority: this.mediumPriority,
+            reflectanceModel: this.reflectanceModel,
+            surfaceType: this.surfaceType,
+            roughness: this.roughness,
+            scatterRayCount: this.scatterRayCount,
+            scatterSampling: this.scatterSampling,
+            dispersionModel: this.dispersionModel,
+            cauchyCoefficients: { ...this.cauchyCoefficients },
+            sellmeierCoefficients: {
+                b: [...this.sellmeierCoefficients.b],
+                c: [...this.sellmeierCoefficients.c]
+            },
+            gradientModel: this.gradientModel,
+            gradientStrength: this.gradientStrength,
+            gradientScale: this.gradientScale,
+            gradientExpression: this.gradientExpression,
         });
     }
 
@@ -82,6 +483,23 @@ export default class Material {
             reflectivity: this.reflectivity,
             refractiveIndex: this.refractiveIndex,
             absorptance: this.absorptance,
+            attenuationCoefficient: this.attenuationCoefficient,
+            mediumPriority: this.mediumPriority,
+            reflectanceModel: this.reflectanceModel,
+            surfaceType: this.surfaceType,
+            roughness: this.roughness,
+            scatterRayCount: this.scatterRayCount,
+            scatterSampling: this.scatterSampling,
+            dispersionModel: this.dispersionModel,
+            cauchyCoefficients: { ...this.cauchyCoefficients },
+            sellmeierCoefficients: {
+                b: [...this.sellmeierCoefficients.b],
+                c: [...this.sellmeierCoefficients.c]
+            },
+            gradientModel: this.gradientModel,
+            gradientStrength: this.gradientStrength,
+            gradientScale: this.gradientScale,
+            gradientExpression: this.gradientExpression,
         }
     }
 
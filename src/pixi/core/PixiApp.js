@@ -8,6 +8,7 @@
 import * as PIXI from 'pixi.js'
 import GeometryRenderer from '@/pixi/renderers/GeometryRenderer.js';
 import RayRenderer from '@/pixi/renderers/RayRenderer.js';
+import BVHRenderer from '@/pixi/renderers/BVHRenderer.js';
 import InteractionManager from '@/pixi/interactions/InteractionManager.js';
 
 export default class PixiApp {
@@ -20,6 +21,7 @@ export default class PixiApp {
         // Renderers
         this.geometryRenderer = null;
         this.rayRenderer = null;
+        this.bvhRenderer = null;
         this.interactionManager = null;
 
         // Resize handling
@@ -49,10 +51,14 @@ export default class PixiApp {
 
         // Initialize renderers if stores are provided
         if (this.sceneStore && this.simulationStore) {
+            this.simulationStore.setCanvasSize(this.app.screen.width, this.app.screen.height);
+
             // Geometry renderer (top layer)
             this.geometryRenderer = new GeometryRenderer(this.app, this.sceneStore);
             // Ray renderer(bottom layer)
             this.rayRenderer = new RayRenderer(this.app, this.sceneStore, this.simulationStore);
+            // BVH overlay (above everything)
+            this.bvhRenderer = new BVHRenderer(this.app, this.sceneStore, this.simulationStore, this.rayRenderer);
             // Interaction manager
             this.interactionManager = new InteractionManager(this.app, this.sceneStore);
         }
@@ -113,6 +119,7 @@ export default class PixiApp {
         if (this.rayRenderer && this.rayRenderer.rayTracer) {
             this.rayRenderer.rayTracer.settings.canvasWidth = width;
             this.rayRenderer.rayTracer.settings.canvasHeight = height;
+            this.simulationStore.setCanvasSize(width, height);
 
             // Re-render rays with new boundaries
             if (this.simulationStore.showRays) {
@@ -151,6 +158,10 @@ export default class PixiApp {
             this.interactionManager.destroy();
         }
 
+        if (this.bvhRenderer) {
+            this.bvhRenderer.destroy();
+        }
+
         if (this.rayRenderer) {
             this.rayRenderer.destroy();
         }
@@ -19,11 +19,17 @@ export default class InteractionManager {
         this.draggedObjectId = null;
         this.dragOffset = { x: 0, y: 0 };
         this.hoveredObjectId = null;
+        this.draggedHandleIndex = null;     // Editing handle (e.g. polygon vertex) being dragged
+
+        // Distance (px) within which a click grabs an editing handle or closes a polygon
+        this.handleRadius = 8;
 
         // Bind event handlers
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
 
         // Add event listeners
         this.setupEventListeners()
@@ -37,6 +43,8 @@ export default class InteractionManager {
         this.canvas.addEventListener('mousemove', this.handleMouseMove);
         this.canvas.addEventListener('mouseup', this.handleMouseUp);
         this.canvas.addEventListener('mouseleave', this.handleMouseUp);
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick);
+        window.addEventListener('keydown', this.handleKeyDown);
 
         // Make canvas interactive
         this.canvas.style.cursor = 'default';
@@ -53,12 +61,61 @@ export default class InteractionManager {
         }
     }
 
+    /**
+     * Find the editing handle of the selected object under the mouse
+     * Objects opt in by implementing getHandles() and moveHandle(index, x, y)
+     * (polygon vertices, curved mirror focus and aperture)
+     * @returns {number|null} Handle index or null if no handle is under the mouse
+     */
+    findHandleAt(mousePos) {
+        const selected = this.sceneStore.selectedObject;
+        if (!selected || typeof selected.getHandles !== 'function') {
+            return null;
+        }
+
+        const handles = selected.getHandles();
+        for (let i = 0; i < handles.length; i++) {
+            const dx = handles[i].x - mousePos.x;
+            const dy = handles[i].y - mousePos.y;
+            if (Math.sqrt(dx * dx + dy * dy) <= this.handleRadius) {
+                return i;
+            }
+        }
+        return null;
+    }
+
     /**
      * Handle mouse down event
      */
     handleMouseDown(event) {
         const mousePos = this.getMousePosition(event);
 
+        // Polygon drawing: each click adds a point, clicking the first point closes the shape
+        if (this.sceneStore.isDrawingPolygon) {
+            const draft = this.sceneStore.polygonDraft;
+            if (draft.length >= 3) {
+                const dx = draft[0].x - mousePos.x;
+                const dy = draft[0].y - mousePos.y;
+                if (Math.sqrt(dx * dx + dy * dy) <= this.handleRadius) {
+                    this.sceneStore.finishPolygonDrawing();
+                    this.canvas.style.cursor = 'default';
+                    return;
+                }
+            }
+            this.sceneStore.addPolygonDraftPoint(mousePos.x, mousePos.y);
+            return;
+        }
+
+        // Grab an editing handle of the selected object
+        const handleIndex = this.findHandleAt(mousePos);
+        if (handleIndex !== null) {
+            this.isDragging = true;
+            this.draggedObjectId = this.sceneStore.selectedObjectId;
+            this.draggedHandleIndex = handleIndex;
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+
         // Try to select an object at the mouse position
         const clickedObject = this.sceneStore.findObjectAtPoint(mousePos.x, mousePos.y);
 
@@ -89,7 +146,17 @@ export default class InteractionManager {
     handleMouseMove(event) {
         const mousePos = this.getMousePosition(event);
 
-        if (this.isDragging && this.draggedObjectId) {
+        if (this.sceneStore.isDrawingPolygon) {
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+
+        if (this.isDragging && this.draggedObjectId && this.draggedHandleIndex !== null) {
+            // Move the dragged editing handle
+            this.sceneStore.updateObject(this.draggedObjectId, {
+                handle: { index: this.draggedHandleIndex, x: mousePos.x, y: mousePos.y }
+            });
+        } else if (this.isDragging && this.draggedObjectId) {
             // Update object position while dragging
             const newX = mousePos.x - this.dragOffset.x;
             const newY = mousePos.y - this.dragOffset.y;
@@ -107,7 +174,11 @@ export default class InteractionManager {
             }
 
             // Update cursor
-            this.canvas.style.cursor = hoveredObject ? 'grab' : 'default';
+            if (this.findHandleAt(mousePos) !== null) {
+                this.canvas.style.cursor = 'move';
+            } else {
+                this.canvas.style.cursor = hoveredObject ? 'grab' : 'default';
+            }
         }
     }
 
@@ -118,6 +189,7 @@ export default class InteractionManager {
         if (this.isDragging) {
             this.isDragging = false;
             this.draggedObjectId = null;
+            this.draggedHandleIndex = null;
             this.dragOffset = { x: 0, y: 0 };
 
             // Update cursor based on hover state
@@ -127,6 +199,33 @@ export default class InteractionManager {
         }
     }
 
+    /**
+     * Handle double click event (finishes the polygon being drawn)
+     */
+    handleDoubleClick() {
+        if (this.sceneStore.isDrawingPolygon) {
+            this.sceneStore.finishPolygonDrawing();
+            this.canvas.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * Handle key down event (Enter finishes, Escape cancels polygon drawing)
+     */
+    handleKeyDown(event) {
+        if (!this.sceneStore.isDrawingPolygon) {
+            return;
+        }
+
+        if (event.key === 'Enter') {
+            this.sceneStore.finishPolygonDrawing();
+            this.canvas.style.cursor = 'default';
+        } else if (event.key === 'Escape') {
+            this.sceneStore.cancelPolygonDrawing();
+            this.canvas.style.cursor = 'default';
+        }
+    }
+
     /**
      * Clean up event listeners
      */
@@ -135,5 +234,7 @@ export default class InteractionManager {
         this.canvas.removeEventListener('mousemove', this.handleMouseMove);
         this.canvas.removeEventListener('mouseup', this.handleMouseUp);
         this.canvas.removeEventListener('mouseleave', this.handleMouseUp);
+        this.canvas.removeEventListener('dblclick', this.handleDoubleClick);
+        window.removeEventListener('keydown', this.handleKeyDown);
     }
 }
\ No newline at end of file
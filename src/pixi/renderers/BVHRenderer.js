@@ -0,0 +1,291 @@
+/**
+ * file: src/pixi/renderers/BVHRenderer.js
+ * desc: Draws the bounding volume hierarchy over the scene.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import * as PIXI from "pixi.js";
+import { watch } from 'vue';
+import Ray from '@/simulation/Ray.js';
+import Colormap from '@/utils/Colormap.js';
+
+/**
+ * BVH Renderer - Overlay of every BVH node's bounding box, colored by depth
+ *
+ * Shows the tree of the ray renderer's tracer (brought up to date here when rays are traced in
+ * the background, since the main thread tracer is idle then). Hovering a drawn ray highlights
+ * the nodes its BVH traversal enters, on a layer of its own so hovering doesn't redraw the tree.
+ */
+export default class BVHRenderer {
+    // Distance (px) within which the mouse picks up a ray
+    static HOVER_RADIUS = 4;
+
+    constructor(app, sceneStore, simulationStore, rayRenderer) {
+        this.app = app;
+        this.sceneStore = sceneStore;
+        this.simulationStore = simulationStore;
+        this.rayRenderer = rayRenderer;
+        this.canvas = app.canvas;
+
+        // Overlay on top of rays and shapes; it never takes mouse events from the shapes below
+        this.graphics = new PIXI.Graphics();
+        this.graphics.eventMode = 'none';
+        this.app.stage.addChild(this.graphics);
+
+        // Hovered ray and the boxes its traversal enters, above the tree
+        this.traversalGraphics = new PIXI.Graphics();
+        this.traversalGraphics.eventMode = 'none';
+        this.app.stage.addChild(this.traversalGraphics);
+
+        // Last mouse position over the canvas (null when outside), and the animation frame that
+        // will redraw the traversal for it (null when none is pending)
+        this.mouse = null;
+        this.hoverFrame = null;
+
+        // The hovered ray may no longer exist once new rays are drawn
+        this.rayRenderer.onSegmentsChanged = () => this.renderTraversal();
+
+        // Bind event handlers
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseLeave = this.handleMouseLeave.bind(this);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+
+        this.setupWatchers();
+        this.render();
+    }
+
+    /**
+     * Setup Vue watchers
+     */
+    setupWatchers() {
+        // Objects and targets are in the tree
+        watch(
+            () => [this.sceneStore.objects, this.sceneStore.targets],
+            () => {
+                this.rayRenderer.rayTracer.invalidateAccelerator();
+                this.render();
+            },
+            { deep: true }
+        );
+
+        // Overlay settings
+        watch(
+            () => [
+                this.simulationStore.showBVH,
+                this.simulationStore.useBVH,
+                this.simulationStore.accelerator,
+                this.simulationStore.bvhStrategy,
+                this.simulationStore.bvhOverlayDepth
+            ],
+            () => this.render()
+        );
+    }
+
+    /**
+     * Get the tracer's BVH, updating it first if the scene or build strategy changed
+     * @returns {BVH|null}
+     */
+    getBVH() {
+        const rayTracer = this.rayRenderer.rayTracer;
+        rayTracer.settings.useBVH = this.simulationStore.useBVH;
+        rayTracer.settings.accelerator = this.simulationStore.accelerator;
+        rayTracer.settings.bvhStrategy = this.simulationStore.bvhStrategy;
+
+        if (rayTracer.acceleratorDirty || !rayTracer.accelerator || !rayTracer.acceleratorMatchesSettings()) {
+            rayTracer.updateAccelerator();
+        }
+        return rayTracer.accelerator;
+    }
+
+    /**
+     * Draw the tree (and the traversal of the hovered ray)
+     */
+    render() {
+        this.graphics.clear();
+
+        const bvh = this.getShownBVH();
+        if (!bvh) {
+            this.renderTraversal();
+            return;
+        }
+
+        const maxDepth = this.simulationStore.bvhOverlayDepth;
+        const treeDepth = bvh.getStats().depth;
+
+        // Boxes from the root down, each level in its color from the viridis map
+        const stack = [{ node: bvh.root, depth: 0 }];
+        while (stack.length > 0) {
+            const { node, depth } = stack.pop();
+            if (depth > maxDepth) continue;
+
+            const [r, g, b] = Colormap.sample('viridis', treeDepth > 0 ? depth / treeDepth : 0);
+            this.drawBox(this.graphics, node.boundingBox);
+            this.graphics.stroke({ width: 1, color: (r << 16) | (g << 8) | b, alpha: 0.7 });
+
+            if (!node.isLeaf) {
+                if (node.left) stack.push({ node: node.left, depth: depth + 1 });
+                if (node.right) stack.push({ node: node.right, depth: depth + 1 });
+            }
+        }
+
+        this.renderTraversal();
+    }
+
+    /**
+     * Get the BVH to draw, or null when the overlay is hidden
+     * Only the BVH is drawn; the grid and quadtree have no overlay.
+     * @returns {BVH|null}
+     */
+    getShownBVH() {
+        if (!this.simulationStore.showBVH || !this.simulationStore.useBVH ||
+            this.simulationStore.accelerator !== 'bvh') {
+            return null;
+        }
+
+        const bvh = this.getBVH();
+        return bvh?.root ? bvh : null;
+    }
+
+    /**
+     * Highlight the nodes entered by the ray under the mouse, and report the work it took
+     */
+    renderTraversal() {
+        this.traversalGraphics.clear();
+
+        const bvh = this.getShownBVH();
+        const index = bvh && this.mouse ? this.findSegmentAt(this.mouse) : -1;
+        if (index === -1) {
+            this.simulationStore.bvhTraversal = null;
+            return;
+        }
+
+        // Replay the segment's ray through the tree
+        const segments = this.rayRenderer.segments;
+        const start = { x: segments.startX[index], y: segments.startY[index] };
+        const end = { x: segments.endX[index], y: segments.endY[index] };
+        const ray = new Ray(start, { x: end.x - start.x, y: end.y - start.y });
+
+        const visited = [];
+        bvh.traverse(ray, null, visited);
+
+        visited.forEach(node => this.drawBox(this.traversalGraphics, node.boundingBox));
+        this.traversalGraphics.stroke({ width: 2, color: 0xffffff, alpha: 0.9 });
+
+        // The hovered ray itself
+        this.traversalGraphics.moveTo(start.x, start.y);
+        this.traversalGraphics.lineTo(end.x, end.y);
+        this.traversalGraphics.stroke({ width: 2, color: 0xffff00 });
+
+        this.simulationStore.bvhTraversal = {
+            nodes: visited.length,
+            objectTests: visited.reduce((tests, node) => tests + (node.isLeaf ? node.objects.length : 0), 0),
+            objects: bvh.leaves.size
+        };
+    }
+
+    /**
+     * Add a node's box to the current path of a graphics layer
+     */
+    drawBox(graphics, boundingBox) {
+        graphics.rect(
+            boundingBox.minX,
+            boundingBox.minY,
+            boundingBox.maxX - boundingBox.minX,
+            boundingBox.maxY - boundingBox.minY
+        );
+    }
+
+    /**
+     * Find the drawn ray segment closest to a point
+     * Curved segments are skipped: they are integrated step by step rather than traced through
+     * the BVH in one go.
+     * @param {Object} point - {x, y} canvas position
+     * @returns {number} Segment index, or -1 if none is close
+     */
+    findSegmentAt(point) {
+        const segments = this.rayRenderer.segments;
+        if (!segments) return -1;
+
+        let closest = -1;
+        let closestDistance = BVHRenderer.HOVER_RADIUS;
+        for (let i = 0; i < segments.count; i++) {
+            if (segments.isCurved(i) || segments.getLength(i) === 0) continue;
+
+            const distance = distanceToSegment(point,
+                segments.startX[i], segments.startY[i], segments.endX[i], segments.endY[i]);
+            if (distance <= closestDistance) {
+                closest = i;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Handle mouse move event
+     */
+    handleMouseMove(event) {
+        if (!this.simulationStore.showBVH) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.mouse = {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+        this.scheduleTraversal();
+    }
+
+    /**
+     * Handle mouse leave event
+     */
+    handleMouseLeave() {
+        this.mouse = null;
+        if (this.simulationStore.showBVH) {
+            this.scheduleTraversal();
+        }
+    }
+
+    /**
+     * Redraw the traversal on the next animation frame (at most once per frame, however many
+     * mouse events arrive)
+     */
+    scheduleTraversal() {
+        if (this.hoverFrame !== null) return;
+
+        this.hoverFrame = requestAnimationFrame(() => {
+            this.hoverFrame = null;
+            this.renderTraversal();
+        });
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+        if (this.hoverFrame !== null) {
+            cancelAnimationFrame(this.hoverFrame);
+        }
+        this.rayRenderer.onSegmentsChanged = null;
+        this.app.stage.removeChild(this.graphics);
+        this.app.stage.removeChild(this.traversalGraphics);
+        this.graphics.destroy();
+        this.traversalGraphics.destroy();
+    }
+}
+
+/**
+ * Distance from a point to the segment (x0, y0)-(x1, y1)
+ */
+function distanceToSegment(point, x0, y0, x1, y1) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((point.x - x0) * dx + (point.y - y0) * dy) / lengthSquared))
+        : 0;
+    return Math.hypot(point.x - (x0 + t * dx), point.y - (y0 + t * dy));
+}
\ No newline at end of file
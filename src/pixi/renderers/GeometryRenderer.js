@@ -62,6 +62,15 @@ export default class GeometryRenderer {
             { deep: true }
         );
 
+        // Watch for polygon drawing changes
+        watch(
+            () => this.sceneStore.polygonDraft,
+            () => {
+                this.renderAll();
+            },
+            { deep: true }
+        );
+
         // Watch for selection changes
         watch(
             () => this.sceneStore.selectedObjectId,
@@ -92,6 +101,39 @@ export default class GeometryRenderer {
         this.sceneStore.targets.forEach(target => {
             this.renderObject(target);
         });
+
+        // Render the polygon being drawn
+        if (this.sceneStore.polygonDraft) {
+            this.renderPolygonDraft(this.sceneStore.polygonDraft);
+        }
+    }
+
+    /**
+     * Render the points and edges of a polygon that is still being drawn
+     */
+    renderPolygonDraft(points) {
+        const graphic = new PIXI.Graphics();
+
+        if (points.length >= 2) {
+            graphic.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => graphic.lineTo(p.x, p.y));
+            graphic.stroke({
+                width: 2,
+                color: 0x4a9eff,
+                alpha: 0.8
+            });
+        }
+
+        // Draw clicked points; the first one is larger since clicking it closes the polygon
+        points.forEach((p, i) => {
+            graphic.circle(p.x, p.y, i === 0 ? 6 : 4);
+            graphic.fill({
+                color: i === 0 ? 0xffffff : 0x4a9eff,
+                alpha: 1
+            });
+        });
+
+        this.container.addChild(graphic);
     }
 
     /**
@@ -125,9 +167,42 @@ export default class GeometryRenderer {
             case 'EquilateralTriangle':
                 this.drawTriangle(graphic, obj, isSelected);
                 break;
+            case 'Lens':
+                this.drawLens(graphic, obj, isSelected);
+                break;
+            case 'Polygon':
+                this.drawPolygon(graphic, obj, isSelected);
+                break;
+            case 'BezierShape':
+                this.drawBezierShape(graphic, obj, isSelected);
+                break;
+            case 'Composite':
+                this.drawComposite(graphic, obj, isSelected);
+                break;
+            case 'Mirror':
+                this.drawMirror(graphic, obj, isSelected);
+                break;
+            case 'CurvedMirror':
+                this.drawCurvedMirror(graphic, obj, isSelected);
+                break;
+            case 'Detector':
+                this.drawDetector(graphic, obj, isSelected);
+                break;
             case 'FocalPoint':
                 this.drawFocalPoint(graphic, obj, isSelected);
                 break;
+            case 'BeamSource':
+                this.drawBeamSource(graphic, obj, isSelected);
+                break;
+            case 'SpotLight':
+                this.drawSpotLight(graphic, obj, isSelected);
+                break;
+            case 'LineSource':
+                this.drawLineSource(graphic, obj, isSelected);
+                break;
+            case 'LaserSource':
+                this.drawLaserSource(graphic, obj, isSelected);
+                break;
             case 'Target':
                 this.drawTarget(graphic, obj, isSelected);
                 break;
@@ -238,6 +313,282 @@ export default class GeometryRenderer {
         }
     }
 
+    /**
+     * Draw a lens
+     */
+    drawLens(graphic, obj, isSelected) {
+        const vertices = obj.getVertices(32);
+
+        // Convert vertices to flat array
+        const points = [];
+        vertices.forEach(v => {
+            points.push(v.x, v.y);
+        });
+
+        // Draw filled polygon
+        graphic.poly(points);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 1
+        });
+
+        // Draw stroke
+        graphic.poly(points);
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: 1
+        });
+
+        // Draw selection highlight (handles on the lens outline only, not every surface sample)
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, obj.getVertices(4));
+        }
+    }
+
+    /**
+     * Draw a polygon
+     */
+    drawPolygon(graphic, obj, isSelected) {
+        const vertices = obj.getVertices();
+
+        // Convert vertices to flat array
+        const points = [];
+        vertices.forEach(v => {
+            points.push(v.x, v.y);
+        });
+
+        // Draw filled polygon
+        graphic.poly(points);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 1
+        });
+
+        // Draw stroke
+        graphic.poly(points);
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: 1
+        });
+
+        // Draw selection highlight (the vertex handles can be dragged)
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, vertices);
+        }
+    }
+
+    /**
+     * Draw a Bezier outline
+     */
+    drawBezierShape(graphic, obj, isSelected) {
+        const vertices = obj.getVertices(24);
+
+        // Convert vertices to flat array
+        const points = [];
+        vertices.forEach(v => {
+            points.push(v.x, v.y);
+        });
+
+        // Draw filled polygon
+        graphic.poly(points);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 1
+        });
+
+        // Draw stroke
+        graphic.poly(points);
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: 1
+        });
+
+        if (isSelected) {
+            // Control arms from each anchor to its two control points
+            obj.getSegments().forEach(([p0, p1, p2, p3]) => {
+                graphic.moveTo(p0.x, p0.y);
+                graphic.lineTo(p1.x, p1.y);
+                graphic.moveTo(p3.x, p3.y);
+                graphic.lineTo(p2.x, p2.y);
+            });
+            graphic.stroke({
+                width: 1,
+                color: 0x4a9eff,
+                alpha: 0.6
+            });
+
+            // Draw selection highlight (anchor and control handles can be dragged)
+            this.drawSelectionHighlight(graphic, obj.getHandles());
+        }
+    }
+
+    /**
+     * Draw a CSG composite
+     * The fill is built from horizontal spans in the composite's frame (see
+     * CompositeObject.buildFillSpans), cached until its children change
+     */
+    drawComposite(graphic, obj, isSelected) {
+        const box = obj.getBoundingBox();
+
+        obj.getFillQuads().forEach(quad => graphic.poly(quad));
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 1
+        });
+
+        // Draw stroke along the combined boundary only
+        obj.getBoundarySegments().forEach(([start, end]) => {
+            graphic.moveTo(start.x, start.y);
+            graphic.lineTo(end.x, end.y);
+        });
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: 1
+        });
+
+        // Draw selection highlight (at the bounding box corners)
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, [
+                { x: box.minX, y: box.minY },
+                { x: box.maxX, y: box.minY },
+                { x: box.maxX, y: box.maxY },
+                { x: box.minX, y: box.maxY }
+            ]);
+        }
+    }
+
+    /**
+     * Draw a thin surface (mirror, beam splitter or blocker) as a thick line
+     * Beam splitters are drawn semi-transparent and blockers wider, to tell the modes apart
+     */
+    drawMirror(graphic, obj, isSelected) {
+        const vertices = obj.getEndpoints();
+        const width = obj.mode === 'blocker' ? 6 : 4;
+
+        graphic.moveTo(vertices[0].x, vertices[0].y);
+        graphic.lineTo(vertices[1].x, vertices[1].y);
+        graphic.stroke({
+            width: isSelected ? width + 1 : width,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: obj.mode === 'splitter' ? 0.5 : 1
+        });
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, vertices);
+        }
+    }
+
+    /**
+     * Draw a curved mirror as a thick open arc, optionally with its geometric focus
+     */
+    drawCurvedMirror(graphic, obj, isSelected) {
+        const vertices = obj.getVertices(48);
+        const width = obj.mode === 'blocker' ? 6 : 4;
+
+        graphic.moveTo(vertices[0].x, vertices[0].y);
+        vertices.slice(1).forEach(v => graphic.lineTo(v.x, v.y));
+        graphic.stroke({
+            width: isSelected ? width + 1 : width,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: obj.mode === 'splitter' ? 0.5 : 1
+        });
+
+        if (obj.showFocus) {
+            this.drawFocusOverlay(graphic, obj);
+        }
+
+        // Draw selection highlight (focus and arc ends can be dragged)
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, obj.getHandles());
+        }
+    }
+
+    /**
+     * Draw a detector screen
+     * The screen with tick marks on the side it faces and a dot at the start of its profile
+     */
+    drawDetector(graphic, obj, isSelected) {
+        const vertices = obj.getVertices(48);
+        const color = this.hexToNumber(obj.edgeColor);
+
+        graphic.moveTo(vertices[0].x, vertices[0].y);
+        vertices.slice(1).forEach(v => graphic.lineTo(v.x, v.y));
+        graphic.stroke({
+            width: isSelected ? 5 : 4,
+            color: color,
+            alpha: 0.9
+        });
+
+        // Ticks along the facing side, pointing toward the arc's center (or straight out for a line)
+        const ticks = 8;
+        const tickLength = 6;
+        for (let i = 0; i <= ticks; i++) {
+            const y = -obj.length / 2 + obj.length * i / ticks;
+            const x = obj.getSurfaceX(y);
+            const inward = obj.shape === 'arc'
+                ? { x: (obj.arcRadius - x) / obj.arcRadius, y: -y / obj.arcRadius }
+                : { x: 1, y: 0 };
+            const from = obj.localToWorld(x, y);
+            const to = obj.localToWorld(x + inward.x * tickLength, y + inward.y * tickLength);
+            graphic.moveTo(from.x, from.y);
+            graphic.lineTo(to.x, to.y);
+        }
+        graphic.stroke({
+            width: 1,
+            color: color,
+            alpha: 0.8
+        });
+
+        // Start of the position profile
+        const [start] = obj.getEndpoints();
+        graphic.circle(start.x, start.y, 3);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 1
+        });
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, obj.getEndpoints());
+        }
+    }
+
+    /**
+     * Draw the optical axis and geometric foci of a curved mirror
+     */
+    drawFocusOverlay(graphic, obj) {
+        const foci = obj.getFoci();
+        const farthest = foci[foci.length - 1];
+
+        // Optical axis from the vertex to the farthest focus
+        graphic.moveTo(obj.position.x, obj.position.y);
+        graphic.lineTo(farthest.x, farthest.y);
+        graphic.stroke({
+            width: 1,
+            color: 0xffcc00,
+            alpha: 0.3
+        });
+
+        // Cross at each focus
+        const size = 6;
+        foci.forEach(focus => {
+            graphic.moveTo(focus.x - size, focus.y - size);
+            graphic.lineTo(focus.x + size, focus.y + size);
+            graphic.moveTo(focus.x - size, focus.y + size);
+            graphic.lineTo(focus.x + size, focus.y - size);
+        });
+        graphic.stroke({
+            width: 2,
+            color: 0xffcc00,
+            alpha: 0.9
+        });
+    }
+
     /**
      * Draw a focal point
      */
@@ -352,6 +703,174 @@ export default class GeometryRenderer {
         }
     }
 
+    /**
+     * Draw a collimated beam source
+     * The aperture is drawn as a bar with short arrows showing the beam direction
+     */
+    drawBeamSource(graphic, obj, isSelected) {
+        const [p1, p2] = obj.getApertureEndpoints();
+        const direction = obj.getDirection();
+        const color = this.hexToNumber(obj.edgeColor);
+        const arrowLength = obj.getRadius() * 2;
+
+        // Emitting face
+        graphic.moveTo(p1.x, p1.y);
+        graphic.lineTo(p2.x, p2.y);
+        graphic.stroke({
+            width: isSelected ? 5 : 4,
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 0.9
+        });
+
+        // Direction arrows at the ends and the middle of the aperture
+        [p1, obj.position, p2].forEach(p => {
+            this.drawArrow(graphic, p, direction, arrowLength, color);
+        });
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, [p1, p2]);
+        }
+    }
+
+    /**
+     * Draw a spotlight
+     * A focal point marker with its cone edges and the arc between them
+     */
+    drawSpotLight(graphic, obj, isSelected) {
+        const vertices = obj.getVertices(16);
+        const radius = obj.getRadius();
+        const px = obj.position.x;
+        const py = obj.position.y;
+        const color = this.hexToNumber(obj.edgeColor);
+
+        // Marker
+        graphic.circle(px, py, radius);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 0.8
+        });
+        graphic.circle(px, py, radius);
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: color,
+            alpha: 1
+        });
+
+        // Cone edges and arc
+        const reach = radius * 4;
+        const halfCone = Math.min(obj.getConeAngle(), 2 * Math.PI - 0.001) / 2;
+        const startAngle = obj.rotation - halfCone;
+        const endAngle = obj.rotation + halfCone;
+
+        graphic.moveTo(px, py);
+        graphic.lineTo(px + reach * Math.cos(startAngle), py + reach * Math.sin(startAngle));
+        graphic.moveTo(px, py);
+        graphic.lineTo(px + reach * Math.cos(endAngle), py + reach * Math.sin(endAngle));
+        graphic.moveTo(px + reach * Math.cos(startAngle), py + reach * Math.sin(startAngle));
+        graphic.arc(px, py, reach, startAngle, endAngle);
+        graphic.stroke({
+            width: 1,
+            color: color,
+            alpha: 0.7
+        });
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, vertices);
+        }
+    }
+
+    /**
+     * Draw a line (area) source
+     * The emitting segment with an arrow on each emitting side
+     */
+    drawLineSource(graphic, obj, isSelected) {
+        const [p1, p2] = obj.getEndpoints();
+        const direction = { x: Math.cos(obj.rotation), y: Math.sin(obj.rotation) };
+        const color = this.hexToNumber(obj.edgeColor);
+        const arrowLength = obj.getRadius() * 2;
+
+        // Emitting segment
+        graphic.moveTo(p1.x, p1.y);
+        graphic.lineTo(p2.x, p2.y);
+        graphic.stroke({
+            width: isSelected ? 7 : 6,
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 0.6
+        });
+
+        // Emission direction(s) from the middle of the segment
+        this.drawArrow(graphic, obj.position, direction, arrowLength, color);
+        if (obj.getTwoSided()) {
+            this.drawArrow(graphic, obj.position, { x: -direction.x, y: -direction.y }, arrowLength, color);
+        }
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, [p1, p2]);
+        }
+    }
+
+    /**
+     * Draw a laser source
+     * The housing box with its aperture marked in the beam color
+     */
+    drawLaserSource(graphic, obj, isSelected) {
+        const vertices = obj.getVertices();
+        const points = vertices.flatMap(v => [v.x, v.y]);
+        // Without its own ray color the laser uses the global one, which this renderer doesn't know
+        const beamColor = this.hexToNumber(obj.getRayColor() ?? obj.edgeColor);
+
+        // Housing
+        graphic.poly(points);
+        graphic.fill({
+            color: this.hexToNumber(obj.fillColor),
+            alpha: 0.9
+        });
+        graphic.poly(points);
+        graphic.stroke({
+            width: isSelected ? 3 : 2,
+            color: this.hexToNumber(obj.edgeColor),
+            alpha: 1
+        });
+
+        // Aperture (the front face of the housing)
+        graphic.moveTo(vertices[1].x, vertices[1].y);
+        graphic.lineTo(vertices[2].x, vertices[2].y);
+        graphic.stroke({
+            width: 3,
+            color: beamColor,
+            alpha: 1
+        });
+
+        // Draw selection highlight
+        if (isSelected) {
+            this.drawSelectionHighlight(graphic, vertices);
+        }
+    }
+
+    /**
+     * Draw a small arrow from a point along a unit direction
+     */
+    drawArrow(graphic, from, direction, length, color) {
+        const tip = { x: from.x + direction.x * length, y: from.y + direction.y * length };
+        const head = length * 0.35;
+        const back = { x: -direction.x * head, y: -direction.y * head };
+        const side = { x: -direction.y * head * 0.6, y: direction.x * head * 0.6 };
+
+        graphic.moveTo(from.x, from.y);
+        graphic.lineTo(tip.x, tip.y);
+        graphic.moveTo(tip.x + back.x + side.x, tip.y + back.y + side.y);
+        graphic.lineTo(tip.x, tip.y);
+        graphic.lineTo(tip.x + back.x - side.x, tip.y + back.y - side.y);
+        graphic.stroke({
+            width: 2,
+            color: color,
+            alpha: 1
+        });
+    }
+
     /**
      * Draw selection highlight around object
      */
@@ -6,8 +6,11 @@
  */
 
 import * as PIXI from 'pixi.js';
-import { watch } from 'vue';
+import { watch, markRaw } from 'vue';
 import RayTracer from '@/simulation/RayTracer.js';
+import Spectrum from '@/utils/Spectrum.js';
+import IrradianceBuffer from '@/simulation/IrradianceBuffer.js';
+import TraceWorkerClient from '@/simulation/TraceWorkerClient.js';
 
 /**
  * RayRenderer - Renders ray paths from the ray tracer
@@ -28,13 +31,35 @@ export default class RayRenderer {
             minIntensity: simulationStore.minIntensity,
             canvasWidth: app.screen.width,
             canvasHeight: app.screen.height,
-            simulationStore: simulationStore.useBVH
+            useBVH: simulationStore.useBVH
         });
 
         // Graphics for rays
         this.rayGraphics = new PIXI.Graphics();
         this.container.addChild(this.rayGraphics);
 
+        // Heatmap mode: energy accumulation buffer, shown as a texture stretched over the canvas
+        this.irradiance = null;
+        this.heatmapSprite = null;
+
+        // Progressive accumulation: index of the last batch drawn, and the opacity each batch is
+        // drawn with (batches stack up, so they are drawn fainter when many will accumulate)
+        this.batch = 0;
+        this.batchOpacity = 1;
+
+        // Segments of the first batch of the current render (what the BVH overlay can hover), and
+        // a callback run whenever they are replaced (set by the BVH renderer)
+        this.segments = null;
+        this.onSegmentsChanged = null;
+
+        this.accumulate = this.accumulate.bind(this);
+        this.app.ticker.add(this.accumulate);
+
+        // Background tracing (created when first needed); the ray tracer above stays in use when
+        // it is turned off. awaitingBatch is set while a batch is being traced in the worker.
+        this.traceClient = null;
+        this.awaitingBatch = false;
+
         // Setup watchers
         this.setupWatchers();
 
@@ -50,8 +75,8 @@ export default class RayRenderer {
         watch(
             () => this.sceneStore.objects,
             () => {
-                // Invalidate BVH when objects change
-                this.rayTracer.invalidateBVH();
+                // Invalidate the acceleration structure when objects change
+                this.rayTracer.invalidateAccelerator();
                 this.render();
             },
             { deep: true }
@@ -68,7 +93,7 @@ export default class RayRenderer {
         watch(
             () => this.sceneStore.targets,
             () => {
-                this.rayTracer.invalidateBVH();
+                this.rayTracer.invalidateAccelerator();
                 this.render();
             },
             { deep: true }
@@ -81,65 +106,434 @@ export default class RayRenderer {
                 this.simulationStore.maxBounces,
                 this.simulationStore.minIntensity,
                 this.simulationStore.rayColor,
-                this.simulationStore.rayWidth
+                this.simulationStore.rayWidth,
+                this.simulationStore.curvedRays,
+                this.simulationStore.gradientStepSize,
+                this.simulationStore.progressive,
+                this.simulationStore.maxBatches,
+                this.simulationStore.useWorker,
+                this.simulationStore.useBVH,
+                this.sceneStore.seed,
+                this.simulationStore.renderMode,
+                this.simulationStore.heatmapCellSize
             ],
             () => this.render()
         )
+
+        // A new structure or build strategy needs a new build
+        watch(
+            () => [
+                this.simulationStore.accelerator,
+                this.simulationStore.bvhStrategy
+            ],
+            () => {
+                this.rayTracer.invalidateAccelerator();
+                this.render();
+            }
+        )
+
+        // Exposure and color map only change how the accumulated energy is displayed
+        watch(
+            () => [
+                this.simulationStore.heatmapExposure,
+                this.simulationStore.heatmapColormap
+            ],
+            () => {
+                if (this.simulationStore.renderMode === 'heatmap') {
+                    this.updateHeatmapTexture();
+                }
+            }
+        )
     }
 
     /**
      * Render all rays
+     * Starts over from the first batch; progressive runs add further batches in accumulate()
      */
     render() {
-        this.rayGraphics.clear();
+        this.batch = 0;
+        this.simulationStore.accumulatedBatches = 0;
 
         if (!this.simulationStore.showRays) {
+            this.traceClient?.cancel();
+            this.awaitingBatch = false;
+            this.rayGraphics.clear();
+            this.prepareHeatmap(false);
+            this.simulationStore.detectorReadings = {};
+            this.simulationStore.targetStatistics = {};
+            this.simulationStore.acceleratorStats = null;
+            this.simulationStore.traversalCounters = null;
+            this.segments = null;
+            this.onSegmentsChanged?.();
             return;
         }
 
         // Update ray tracer settings
         this.rayTracer.settings.maxBounces = this.simulationStore.maxBounces;
         this.rayTracer.settings.minIntensity = this.simulationStore.minIntensity;
+        this.rayTracer.settings.curvedRays = this.simulationStore.curvedRays;
+        this.rayTracer.settings.gradientStepSize = this.simulationStore.gradientStepSize;
+        this.rayTracer.settings.seed = this.sceneStore.seed;
+        this.rayTracer.settings.useBVH = this.simulationStore.useBVH;
+        this.rayTracer.settings.accelerator = this.simulationStore.accelerator;
+        this.rayTracer.settings.bvhStrategy = this.simulationStore.bvhStrategy;
+
+        this.batchOpacity = this.isAccumulating() ? 1 / Math.sqrt(this.simulationStore.maxBatches) : 1;
+
+        const traceClient = this.getTraceClient();
+        if (traceClient) {
+            this.awaitingBatch = true;
+            traceClient.traceScene(this.sceneStore.exportScene(), { ...this.rayTracer.settings });
+            return;
+        }
+
+        this.awaitingBatch = false;
+        this.traceBatch(0);
+    }
 
+    /**
+     * Get the background tracing client, creating or stopping it to match the settings
+     * @returns {TraceWorkerClient|null} null when tracing on the main thread
+     */
+    getTraceClient() {
+        if (!this.simulationStore.useWorker || !TraceWorkerClient.isSupported()) {
+            this.destroyTraceClient();
+            return null;
+        }
+
+        if (!this.traceClient) {
+            this.traceClient = new TraceWorkerClient(
+                result => this.handleWorkerResult(result),
+                busy => { this.simulationStore.tracing = busy; }
+            );
+        }
+        return this.traceClient;
+    }
+
+    /**
+     * Stop the background tracing worker, if running
+     */
+    destroyTraceClient() {
+        if (!this.traceClient) return;
+
+        this.traceClient.destroy();
+        this.traceClient = null;
+        this.simulationStore.tracing = false;
+    }
+
+    /**
+     * Draw a batch traced by the worker
+     * @param {Object} result - { batch, segments, detectorReadings, targetStatistics, acceleratorStats, counters }
+     */
+    handleWorkerResult(result) {
+        this.awaitingBatch = false;
+        if (result.batch === 0) {
+            this.simulationStore.acceleratorStats = result.acceleratorStats;
+        }
+        this.simulationStore.traversalCounters = result.counters;
+        this.drawBatch(result.batch, result.segments, result.detectorReadings, result.targetStatistics);
+    }
+
+    /**
+     * Draw the next batch of a progressive run (called every frame by the ticker)
+     */
+    accumulate() {
+        if (!this.simulationStore.showRays || !this.isAccumulating()) {
+            return;
+        }
+        if (this.awaitingBatch || this.batch + 1 >= this.simulationStore.maxBatches) {
+            return;
+        }
+
+        this.batch++;
+        if (this.traceClient) {
+            this.awaitingBatch = true;
+            this.traceClient.traceBatch(this.batch);
+        } else {
+            this.traceBatch(this.batch);
+        }
+    }
+
+    /**
+     * Check if the current scene and settings call for progressive accumulation
+     * Only stochastic sources and surfaces draw new rays in each batch
+     */
+    isAccumulating() {
+        if (!this.simulationStore.progressive) {
+            return false;
+        }
+
+        return this.sceneStore.focalPoints.some(source => source.isStochastic()) ||
+            this.sceneStore.objects.some(obj =>
+                obj.material?.isScattering() && obj.material.scatterSampling === 'stochastic'
+            );
+    }
+
+    /**
+     * Trace one batch of rays on the main thread and draw it
+     * @param {number} batch - Batch index (seeds the stochastic sampling)
+     */
+    traceBatch(batch) {
         // Trace all rays (returns segment trees)
-        const allSegments = this.rayTracer.traceAll();
+        const allSegments = this.rayTracer.traceAll(batch);
+        if (batch === 0) {
+            this.simulationStore.acceleratorStats = this.rayTracer.accelerator?.getStats() ?? null;
+        }
+        this.simulationStore.traversalCounters = this.rayTracer.counters.toJSON();
+        this.drawBatch(batch, allSegments, this.rayTracer.detectorReadings, this.rayTracer.targetStatistics);
+    }
 
-        // Render each path
-        const defaultColor = this.hexToNumber(this.simulationStore.rayColor);
-        const width = this.simulationStore.rayWidth;
+    /**
+     * Draw a traced batch on top of what is already drawn
+     * The first batch replaces the previous render, so the old rays stay visible until new ones
+     * are ready.
+     * @param {number} batch - Batch index
+     * @param {SegmentBuffer} segments - Segments from RayTracer.traceAll
+     * @param {Map} detectorReadings - DetectorReading per detector ID
+     * @param {Map} targetStatistics - TargetStatistics per target ID
+     */
+    drawBatch(batch, segments, detectorReadings, targetStatistics) {
+        if (batch === 0) {
+            this.rayGraphics.clear();
+            this.prepareHeatmap(this.simulationStore.renderMode === 'heatmap');
+            this.segments = segments;
+            this.onSegmentsChanged?.();
+        }
+
+        this.simulationStore.accumulatedBatches = batch + 1;
+        this.publishResults(batch, detectorReadings, targetStatistics);
+
+        if (this.simulationStore.renderMode === 'heatmap') {
+            this.irradiance.addSegments(segments);
+            this.updateHeatmapTexture();
+            return;
+        }
+
+        this.drawSegments(segments);
+    }
+
+    /**
+     * Share the detector readings and target statistics of the last traced batch with the UI
+     * @param {number} batch - Batch index that was just traced
+     * @param {Map} detectorReadings - The batch's DetectorReading per detector ID
+     * @param {Map} targetStatistics - The batch's TargetStatistics per target ID
+     */
+    publishResults(batch, detectorReadings, targetStatistics) {
+        this.simulationStore.detectorReadings =
+            this.mergeResults(this.simulationStore.detectorReadings, detectorReadings, batch);
+        this.simulationStore.targetStatistics =
+            this.mergeResults(this.simulationStore.targetStatistics, targetStatistics, batch);
+    }
+
+    /**
+     * Combine a batch's results (DetectorReading or TargetStatistics) with the published ones
+     * Later batches of a progressive run are merged into the results of the earlier ones
+     * @param {Object} previous - Published results by object ID
+     * @param {Map} current - Results of the batch just traced, by object ID
+     * @param {number} batch - Batch index that was just traced
+     * @returns {Object} New results object (replaced so views of the results update)
+     */
+    mergeResults(previous, current, batch) {
+        const results = {};
 
-        allSegments.forEach(segment => {
-            this.drawSegmentTree(segment, defaultColor, width);
+        current.forEach((result, id) => {
+            const accumulated = previous[id];
+            if (batch > 0 && accumulated && accumulated.isCompatible(result)) {
+                accumulated.merge(result);
+                results[id] = accumulated;
+            } else {
+                // Results are plain data for the UI; they don't need to be reactive themselves
+                results[id] = markRaw(result);
+            }
         });
+
+        return results;
     }
 
     /**
-     * Draw a ray segment tree recursively
+     * Set up (or hide) the heatmap for a new render
+     * Clears the accumulation buffer, reallocating it and its texture when the canvas size or
+     * cell size changed
+     * @param {boolean} enabled - Whether the heatmap is shown
      */
-    drawSegmentTree(segment, defaultColor, width) {
-        // Determine color and alpha base don where this hits a target
-        let color = defaultColor;
-        let alpha = segment.intensity || 1.0;
+    prepareHeatmap(enabled) {
+        if (!enabled) {
+            if (this.heatmapSprite) {
+                this.heatmapSprite.visible = false;
+            }
+            return;
+        }
+
+        const width = this.rayTracer.settings.canvasWidth;
+        const height = this.rayTracer.settings.canvasHeight;
+        const cellSize = this.simulationStore.heatmapCellSize;
 
-        if (segment.hitsTarget) {
-            // Override with red color and full intensity for target paths
-            color = 0xff0000;   // Red
-            alpha = 1.0;        // Full opacity
+        if (!this.irradiance || !this.irradiance.matches(width, height, cellSize)) {
+            this.irradiance = new IrradianceBuffer(width, height, cellSize);
+            this.destroyHeatmapSprite();
+
+            const source = new PIXI.BufferImageSource({
+                resource: this.irradiance.pixels,
+                width: this.irradiance.columns,
+                height: this.irradiance.rows,
+                format: 'rgba8unorm',
+                scaleMode: 'linear'
+            });
+            this.heatmapSprite = new PIXI.Sprite(new PIXI.Texture({ source }));
+            this.heatmapSprite.scale.set(cellSize);
+            this.container.addChildAt(this.heatmapSprite, 0);
         }
-        // Draw this segment
-        this.rayGraphics.moveTo(segment.start.x, segment.start.y);
-        this.rayGraphics.lineTo(segment.end.x, segment.end.y);
-        this.rayGraphics.stroke({
-            width: width,
-            color: color,
-            alpha: Math.sqrt(alpha)  // use segment intensity for opacity
+
+        this.irradiance.clear();
+        this.heatmapSprite.visible = true;
+    }
+
+    /**
+     * Tone-map the accumulated energy and upload it to the heatmap texture
+     */
+    updateHeatmapTexture() {
+        if (!this.irradiance || !this.heatmapSprite) return;
+
+        this.irradiance.toneMap(this.simulationStore.heatmapExposure, this.simulationStore.heatmapColormap);
+        this.heatmapSprite.texture.source.update();
+    }
+
+    /**
+     * Destroy the heatmap sprite and its texture
+     */
+    destroyHeatmapSprite() {
+        if (!this.heatmapSprite) return;
+
+        this.container.removeChild(this.heatmapSprite);
+        this.heatmapSprite.destroy({ texture: true, textureSource: true });
+        this.heatmapSprite = null;
+    }
+
+    /**
+     * Draw every segment of a traced batch
+     * Line pieces are grouped by color and opacity (rounded to 1/256, the precision of an 8-bit
+     * channel), and each group is stroked once, instead of issuing one stroke per segment.
+     * @param {SegmentBuffer} segments - Segments from RayTracer.traceAll
+     */
+    drawSegments(segments) {
+        // Each path is drawn in the color of the source that emitted it
+        // (sources without their own color use the global ray color)
+        const defaultColor = this.hexToNumber(this.simulationStore.rayColor);
+        const sourceColors = segments.sources.map(sourceId => {
+            const source = this.sceneStore.focalPoints.find(fp => fp.id === sourceId);
+            return source?.rayColor ? this.hexToNumber(source.rayColor) : defaultColor;
         });
+        const spectralColors = new Map();
+
+        // Coordinates (x0, y0, x1, y1, ...) of the line pieces in each color and opacity
+        const groups = new Map();
+        const addLine = (x0, y0, x1, y1, color, intensity) => {
+            const level = Math.max(1, Math.round(Math.sqrt(intensity) * this.batchOpacity * 256));
+            const key = color * 512 + level;
+            let lines = groups.get(key);
+            if (!lines) {
+                lines = [];
+                groups.set(key, lines);
+            }
+            lines.push(x0, y0, x1, y1);
+        };
 
-        // Draw all children
-        if (segment.children && segment.children.length > 0) {
-            segment.children.forEach(child => {
-                this.drawSegmentTree(child, defaultColor, width);
+        for (let i = 0; i < segments.count; i++) {
+            let color;
+            let startIntensity = segments.intensity[i];
+            let endIntensity = segments.endIntensity[i];
+
+            if (segments.hitsTarget(i)) {
+                // Target paths are drawn in red at full intensity
+                color = 0xff0000;
+                startIntensity = 1.0;
+                endIntensity = 1.0;
+            } else if (!Number.isNaN(segments.wavelength[i])) {
+                // Segments carrying a wavelength are drawn in their spectral color
+                const wavelength = segments.wavelength[i];
+                if (!spectralColors.has(wavelength)) {
+                    spectralColors.set(wavelength, Spectrum.wavelengthToColor(wavelength));
+                }
+                color = spectralColors.get(wavelength);
+            } else {
+                color = sourceColors[segments.source[i]];
+            }
+
+            if (segments.isCurved(i)) {
+                // Curved path through a gradient-index medium
+                this.addPolylineLines(segments, i, color, startIntensity, endIntensity, addLine);
+            } else if (endIntensity < startIntensity) {
+                // Segment was attenuated inside a medium: fade it along its length
+                this.addFadingLines(segments.startX[i], segments.startY[i], segments.endX[i], segments.endY[i],
+                    color, startIntensity, endIntensity, addLine);
+            } else {
+                addLine(segments.startX[i], segments.startY[i], segments.endX[i], segments.endY[i],
+                    color, startIntensity);
+            }
+        }
+
+        const width = this.simulationStore.rayWidth;
+        groups.forEach((lines, key) => {
+            for (let p = 0; p < lines.length; p += 4) {
+                this.rayGraphics.moveTo(lines[p], lines[p + 1]);
+                this.rayGraphics.lineTo(lines[p + 2], lines[p + 3]);
+            }
+            this.rayGraphics.stroke({
+                width: width,
+                color: Math.floor(key / 512),
+                alpha: (key % 512) / 256
             });
+        });
+    }
+
+    /**
+     * Split a segment whose opacity fades from its start intensity to its end intensity into
+     * short pieces, each with an interpolated intensity
+     */
+    addFadingLines(x0, y0, x1, y1, color, startIntensity, endIntensity, addLine) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const steps = Math.max(1, Math.min(32, Math.ceil(length / 10)));
+
+        for (let i = 0; i < steps; i++) {
+            const t0 = i / steps;
+            const t1 = (i + 1) / steps;
+            // Intensity decays exponentially, so interpolate in log space
+            const intensity = startIntensity * Math.pow(endIntensity / startIntensity, (t0 + t1) / 2);
+
+            addLine(x0 + dx * t0, y0 + dy * t0, x0 + dx * t1, y0 + dy * t1, color, intensity);
+        }
+    }
+
+    /**
+     * Add the pieces of a curved ray path
+     * Attenuated paths fade along their length like addFadingLines
+     */
+    addPolylineLines(segments, index, color, startIntensity, endIntensity, addLine) {
+        const points = segments.points;
+        const first = segments.pointOffset[index] * 2;
+        const last = first + (segments.pointCount[index] - 1) * 2;
+
+        if (endIntensity >= startIntensity) {
+            for (let p = first; p < last; p += 2) {
+                addLine(points[p], points[p + 1], points[p + 2], points[p + 3], color, startIntensity);
+            }
+            return;
+        }
+
+        // Intensity is interpolated by the fraction of the path's length travelled
+        const total = segments.getLength(index) || 1;
+        let travelled = 0;
+
+        for (let p = first; p < last; p += 2) {
+            const length = Math.hypot(points[p + 2] - points[p], points[p + 3] - points[p + 1]);
+            const t = (travelled + length / 2) / total;
+            // Intensity decays exponentially, so interpolate in log space
+            const intensity = startIntensity * Math.pow(endIntensity / startIntensity, t);
+
+            addLine(points[p], points[p + 1], points[p + 2], points[p + 3], color, intensity);
+            travelled += length;
         }
     }
 
@@ -158,6 +552,9 @@ export default class RayRenderer {
      * Destroy renderer
      */
     destroy() {
+        this.app.ticker.remove(this.accumulate);
+        this.destroyTraceClient();
+        this.destroyHeatmapSprite();
         this.container.removeChild(this.rayGraphics);
         this.rayGraphics.destroy();
         this.app.stage.removeChild(this.container);
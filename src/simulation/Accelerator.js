@@ -0,0 +1,144 @@
+/**
+ * file: src/simulation/Accelerator.js
+ * desc: Common interface of the spatial acceleration structures (BVH, uniform grid, quadtree).
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import GeometryMath from '@/utils/math/GeometryMath.js';
+
+/**
+ * Accelerator - Base class of the structures RayTracer uses to find the closest hit
+ *
+ * Subclasses implement:
+ *   traverse(ray, currentMedium, visited) - closest intersection, skipping currentMedium
+ *   update(objects) - bring the structure up to date with moved, added and removed objects
+ *   getStats() - { type, nodes, leaves, depth, objects, buildTime, ... }
+ * and may override isDegraded() to ask for a rebuild.
+ */
+export default class Accelerator {
+    // Available structures, by type
+    static TYPES = ['bvh', 'grid', 'quadtree'];
+
+    /**
+     * @param {string} type - One of TYPES
+     */
+    constructor(type) {
+        this.type = type;
+
+        // TraversalCounters updated by traverse (set by the ray tracer, null = not counted)
+        this.counters = null;
+
+        // ms taken by the last full build
+        this.buildTime = 0;
+    }
+
+    /**
+     * Find the closest intersection of a ray with the objects in the structure
+     * @param {Ray} ray - The ray to test
+     * @param {Object|null} currentMedium - Object the ray is currently inside (never reported as hit)
+     * @param {Array|null} visited - If given, the nodes or cells the ray enters are pushed onto it
+     * @returns {Intersection} Closest intersection
+     */
+    traverse(ray, currentMedium = null, visited = null) {
+        throw new Error(`${this.constructor.name} must implement traverse()`);
+    }
+
+    /**
+     * Bring the structure up to date with the scene
+     * @param {Array} objects - Every object that should be in the structure
+     * @returns {Object} Counts of what changed
+     */
+    update(objects) {
+        throw new Error(`${this.constructor.name} must implement update()`);
+    }
+
+    /**
+     * Check if updates have made the structure bad enough to rebuild it from scratch
+     */
+    isDegraded() {
+        return false;
+    }
+
+    /**
+     * Get statistics about the structure
+     */
+    getStats() {
+        throw new Error(`${this.constructor.name} must implement getStats()`);
+    }
+
+    /**
+     * Test a ray against objects and keep the closest hit
+     * Skips the object the ray is inside: its exit is found separately, and testing it here
+     * would report the surface the ray just entered through.
+     * @param {Array} objects - Objects to test
+     * @param {Ray} ray - The ray to test
+     * @param {Object|null} currentMedium - Object the ray is currently inside
+     * @param {Intersection} closest - Closest hit so far
+     * @param {Set|null} tested - IDs of objects already tested by this traversal (skipped, then added);
+     *                            for structures that store an object in several cells
+     * @returns {Intersection} The closer of closest and the hits found
+     */
+    intersectObjects(objects, ray, currentMedium, closest, tested = null) {
+        for (const object of objects) {
+            if (currentMedium && object.id === currentMedium.id) {
+                continue;
+            }
+            if (tested) {
+                if (tested.has(object.id)) continue;
+                tested.add(object.id);
+            }
+
+            if (this.counters) {
+                this.counters.primitiveTests++;
+            }
+
+            const intersection = GeometryMath.rayObjectIntersection(ray, object);
+            if (intersection.hit && (!closest.hit || intersection.distance < closest.distance)) {
+                closest = intersection;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Distances along a ray where it enters and leaves a box (slab method)
+     * @param {Ray} ray - The ray
+     * @param {Object} box - {minX, minY, maxX, maxY}
+     * @returns {Object|null} {enter, exit} (enter is negative if the ray starts inside), or null if
+     *                        the ray misses the box
+     */
+    static rayBoxInterval(ray, box) {
+        let enter = -Infinity;
+        let exit = Infinity;
+
+        // X-axis slab
+        if (ray.direction.x !== 0) {
+            const tx1 = (box.minX - ray.origin.x) / ray.direction.x;
+            const tx2 = (box.maxX - ray.origin.x) / ray.direction.x;
+            enter = Math.max(enter, Math.min(tx1, tx2));
+            exit = Math.min(exit, Math.max(tx1, tx2));
+        } else if (ray.origin.x < box.minX || ray.origin.x > box.maxX) {
+            return null;    // Parallel to the slab and outside it
+        }
+
+        // Y-axis slab
+        if (ray.direction.y !== 0) {
+            const ty1 = (box.minY - ray.origin.y) / ray.direction.y;
+            const ty2 = (box.maxY - ray.origin.y) / ray.direction.y;
+            enter = Math.max(enter, Math.min(ty1, ty2));
+            exit = Math.min(exit, Math.max(ty1, ty2));
+        } else if (ray.origin.y < box.minY || ray.origin.y > box.maxY) {
+            return null;
+        }
+
+        return exit >= enter && exit >= 0 ? { enter, exit } : null;
+    }
+
+    /**
+     * Check if two boxes overlap (touching counts)
+     */
+    static boxesOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+}
\ No newline at end of file
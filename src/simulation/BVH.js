@@ -5,21 +5,62 @@
  * date: 21 October 2025
  */
 
+import Accelerator from './Accelerator.js';
 import BVHNode from './BVHNode.js';
 import Intersection from './Intersection.js';
-import GeometryMath from '@/utils/math/GeometryMath.js';
 
 /**
  * BVH - Bounding Volume Hierarchy for fast ray-object intersection
+ *
+ * Besides a full build, the tree can be updated in place: moved objects refit the boxes on the
+ * way up from their leaf, and single objects can be inserted or removed. Updates make the tree
+ * looser over time, so its cost is compared with the cost right after the last full build and a
+ * rebuild is suggested (see isDegraded) once it gets too much worse.
  */
-export default class BVH {
-    constructor(objects, maxObjectsPerLeaf = 4) {
+export default class BVH extends Accelerator {
+    // A tree whose cost grew by this factor since the last full build should be rebuilt
+    static REBUILD_RATIO = 1.5;
+
+    // Build strategies: split at the median centroid, binned SAH, or SAH over every split
+    static STRATEGIES = ['median', 'binned', 'sweep'];
+
+    // Surface area heuristic cost of testing a ray against a node's box, and against an object
+    // (object tests solve quadratics or walk edges, so they cost more than a slab test)
+    static TRAVERSAL_COST = 1;
+    static INTERSECTION_COST = 2;
+
+    // Centroid bins per axis for the binned SAH builder
+    static BIN_COUNT = 16;
+
+    constructor(objects, maxObjectsPerLeaf = 4, strategy = 'binned') {
+        super('bvh');
         this.maxObjectsPerLeaf = maxObjectsPerLeaf;
+        this.strategy = this.validateStrategy(strategy);
         this.root = null;
 
+        // Bounding box of each object as last seen, and the leaf holding it, by object ID
+        this.boxes = new Map();
+        this.leaves = new Map();
+
+        const start = performance.now();
+        objects.forEach(obj => this.boxes.set(obj.id, obj.getBoundingBox()));
         if (objects.length > 0) {
             this.root = this.build(objects);
         }
+        this.buildTime = performance.now() - start;
+
+        this.builtCost = this.getCost();
+    }
+
+    /**
+     * Validate build strategy (must be one of STRATEGIES)
+     */
+    validateStrategy(value) {
+        if (!BVH.STRATEGIES.includes(value)) {
+            console.warn(`Unknown BVH build strategy ${value}, using 'binned'`);
+            return 'binned';
+        }
+        return value;
     }
 
     /**
@@ -31,103 +72,438 @@ export default class BVH {
         const node = new BVHNode();
 
         // Compute bounding box for all objects
-        const boundingBoxes = objects.map(obj => obj.getBoundingBox());
+        const boundingBoxes = objects.map(obj => this.boxes.get(obj.id));
         node.boundingBox = BVHNode.computeBoundingBox(boundingBoxes);
 
         // Base case: few enough objects, make leaf node
         if (objects.length <= this.maxObjectsPerLeaf) {
-            node.isLeaf = true;
-            node.objects = objects;
-            return node;
+            return this.makeLeaf(node, objects);
         }
 
-        // Find best split using Surface Area Heuristic (SAH)
-        const split = this.findBestSplit(objects, boundingBoxes);
+        // Find a split with the chosen strategy
+        const split = this.findBestSplit(objects, boundingBoxes, node.boundingBox);
 
         if (!split || split.leftObjects.length === 0 || split.rightObjects.length === 0) {
             // Cannot split effectively, make leaf
-            node.isLeaf = true;
-            node.objects = objects;
-            return node;
+            return this.makeLeaf(node, objects);
+        }
+
+        // The SAH strategies stop when testing every object is expected to be cheaper than splitting
+        if (this.strategy !== 'median' && split.cost >= BVH.INTERSECTION_COST * objects.length) {
+            return this.makeLeaf(node, objects);
         }
 
         // Recursively build left and right subtrees
         node.left = this.build(split.leftObjects);
         node.right = this.build(split.rightObjects);
+        node.left.parent = node;
+        node.right.parent = node;
+
+        return node;
+    }
 
+    /**
+     * Turn a node into a leaf holding the given objects
+     */
+    makeLeaf(node, objects) {
+        node.isLeaf = true;
+        node.objects = [...objects];
+        objects.forEach(obj => this.leaves.set(obj.id, node));
         return node;
     }
 
     /**
-     * Find best split using Surface Area Heuristic
+     * Bring the tree up to date with the scene's current objects
+     * Objects already in the tree are refit if their bounding box changed (and their reference
+     * swapped if the object was recreated with the same ID), new objects are inserted and missing
+     * ones removed.
+     * @param {Array} objects - Every object that should be in the tree
+     * @returns {Object} Number of objects { refitted, inserted, removed }
+     */
+    update(objects) {
+        const counts = { refitted: 0, inserted: 0, removed: 0 };
+        const present = new Set();
+
+        objects.forEach(obj => {
+            present.add(obj.id);
+            if (!this.leaves.has(obj.id)) {
+                this.insert(obj);
+                counts.inserted++;
+            } else if (this.refit(obj)) {
+                counts.refitted++;
+            }
+        });
+
+        [...this.leaves.keys()]
+            .filter(id => !present.has(id))
+            .forEach(id => {
+                this.remove(id);
+                counts.removed++;
+            });
+
+        return counts;
+    }
+
+    /**
+     * Refit the tree around an object that may have moved or changed shape
+     * Only the boxes from the object's leaf up to the root are recomputed, stopping as soon as a
+     * box comes out unchanged.
+     * @param {Object} object - An object in the tree (may be a new instance with the same ID)
+     * @returns {boolean} True if the object's bounding box changed
+     */
+    refit(object) {
+        const leaf = this.leaves.get(object.id);
+        if (!leaf) return false;
+
+        // Keep the leaf pointing at the current instance
+        const index = leaf.objects.findIndex(obj => obj.id === object.id);
+        leaf.objects[index] = object;
+
+        const boundingBox = object.getBoundingBox();
+        if (BVHNode.sameBoundingBox(boundingBox, this.boxes.get(object.id))) {
+            return false;
+        }
+
+        this.boxes.set(object.id, boundingBox);
+        this.refitUpward(leaf);
+        return true;
+    }
+
+    /**
+     * Recompute bounding boxes from a node up to the root
+     */
+    refitUpward(node) {
+        let current = node;
+        while (current && current.refitBoundingBox(this.boxes)) {
+            current = current.parent;
+        }
+    }
+
+    /**
+     * Insert a single object
+     * Descends into the child whose box grows the least, then adds the object to that leaf,
+     * splitting the leaf if it gets too full.
+     * @param {Object} object - Object to add
+     */
+    insert(object) {
+        const boundingBox = object.getBoundingBox();
+        this.boxes.set(object.id, boundingBox);
+
+        if (!this.root) {
+            this.root = this.makeLeaf(new BVHNode(), [object]);
+            this.root.boundingBox = boundingBox;
+            return;
+        }
+
+        let node = this.root;
+        while (!node.isLeaf) {
+            const children = [node.left, node.right].filter(Boolean);
+            node = children.reduce((best, child) =>
+                BVH.growth(child.boundingBox, boundingBox) < BVH.growth(best.boundingBox, boundingBox) ? child : best
+            );
+        }
+
+        node.objects.push(object);
+        this.leaves.set(object.id, node);
+
+        if (node.objects.length > this.maxObjectsPerLeaf) {
+            // Replace the full leaf with a subtree built from its objects
+            const subtree = this.build(node.objects);
+            this.replaceNode(node, subtree);
+            this.refitUpward(subtree.parent);
+        } else {
+            this.refitUpward(node);
+        }
+    }
+
+    /**
+     * Remove a single object
+     * A leaf left empty is removed, and its sibling takes its parent's place.
+     * @param {string} id - ID of the object to remove
+     */
+    remove(id) {
+        const leaf = this.leaves.get(id);
+        if (!leaf) return;
+
+        leaf.objects = leaf.objects.filter(obj => obj.id !== id);
+        this.leaves.delete(id);
+        this.boxes.delete(id);
+
+        if (leaf.objects.length > 0) {
+            this.refitUpward(leaf);
+            return;
+        }
+
+        const parent = leaf.parent;
+        if (!parent) {
+            this.root = null;
+            return;
+        }
+
+        const sibling = parent.left === leaf ? parent.right : parent.left;
+        this.replaceNode(parent, sibling);
+        this.refitUpward(sibling.parent);
+    }
+
+    /**
+     * Put a node in another node's place in the tree
+     */
+    replaceNode(oldNode, newNode) {
+        const parent = oldNode.parent;
+        newNode.parent = parent;
+
+        if (!parent) {
+            this.root = newNode;
+        } else if (parent.left === oldNode) {
+            parent.left = newNode;
+        } else {
+            parent.right = newNode;
+        }
+    }
+
+    /**
+     * Area a bounding box would gain by also enclosing another box
+     */
+    static growth(boundingBox, added) {
+        const combined = BVHNode.computeBoundingBox([boundingBox, added]);
+        return BVHNode.computeSurfaceArea(combined) - BVHNode.computeSurfaceArea(boundingBox);
+    }
+
+    /**
+     * Estimate the tree's expected traversal cost (surface area heuristic)
+     * Each node is weighted by its surface area relative to the root's (the chance a ray
+     * crossing the root also crosses it), costing TRAVERSAL_COST per internal node and
+     * INTERSECTION_COST per object in a leaf.
+     * @returns {number} Expected cost of a ray crossing the root (0 for an empty tree)
+     */
+    getCost() {
+        if (!this.root) return 0;
+
+        const rootArea = BVHNode.computeSurfaceArea(this.root.boundingBox) || 1;
+        let cost = 0;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const area = BVHNode.computeSurfaceArea(node.boundingBox) / rootArea;
+
+            if (node.isLeaf) {
+                cost += area * BVH.INTERSECTION_COST * node.objects.length;
+            } else {
+                cost += area * BVH.TRAVERSAL_COST;
+                if (node.left) stack.push(node.left);
+                if (node.right) stack.push(node.right);
+            }
+        }
+        return cost;
+    }
+
+    /**
+     * Check if updates have made the tree much worse than a fresh build would be
+     */
+    isDegraded() {
+        return this.getCost() > this.builtCost * BVH.REBUILD_RATIO;
+    }
+
+    /**
+     * Find where to split a node's objects, using the tree's build strategy
      * @param {Array} objects - Objects to split
      * @param {Array} boundingBoxes - Corresponding bounding boxes
-     * @returns {Object} {leftObjects, rightObjects, axis, position}
+     * @param {Object} parentBox - Bounding box of all the objects
+     * @returns {Object|null} {leftObjects, rightObjects, axis, position, cost}, or null if the
+     *                        objects can't be split
+     */
+    findBestSplit(objects, boundingBoxes, parentBox) {
+        const centroids = boundingBoxes.map(bb => ({
+            x: (bb.minX + bb.maxX) / 2,
+            y: (bb.minY + bb.maxY) / 2
+        }));
+
+        switch (this.strategy) {
+            case 'median':
+                return this.findMedianSplit(objects, boundingBoxes, centroids, parentBox);
+            case 'sweep':
+                return this.findSweepSplit(objects, boundingBoxes, centroids, parentBox);
+            default:
+                return this.findBinnedSplit(objects, boundingBoxes, centroids, parentBox);
+        }
+    }
+
+    /**
+     * Split at the median centroid along the axis where the centroids spread the most
+     * Fast and balanced, but blind to object sizes and gaps
+     */
+    findMedianSplit(objects, boundingBoxes, centroids, parentBox) {
+        const spreadX = Math.max(...centroids.map(c => c.x)) - Math.min(...centroids.map(c => c.x));
+        const spreadY = Math.max(...centroids.map(c => c.y)) - Math.min(...centroids.map(c => c.y));
+        const axis = spreadX >= spreadY ? 'x' : 'y';
+
+        const order = objects.map((_, i) => i).sort((a, b) => centroids[a][axis] - centroids[b][axis]);
+        const half = Math.floor(order.length / 2);
+        const left = order.slice(0, half);
+        const right = order.slice(half);
+
+        return {
+            leftObjects: left.map(i => objects[i]),
+            rightObjects: right.map(i => objects[i]),
+            axis,
+            position: centroids[order[half]][axis],
+            cost: BVH.splitCost(
+                parentBox,
+                BVHNode.computeBoundingBox(left.map(i => boundingBoxes[i])), left.length,
+                BVHNode.computeBoundingBox(right.map(i => boundingBoxes[i])), right.length
+            )
+        };
+    }
+
+    /**
+     * Binned surface area heuristic
+     * Centroids are dropped into BIN_COUNT bins per axis and only the planes between bins are
+     * evaluated, so a node costs O(n + bins) instead of a sort
      */
-    findBestSplit(objects, boundingBoxes) {
-        let bestCost = Infinity;
-        let bestSplit = null;
+    findBinnedSplit(objects, boundingBoxes, centroids, parentBox) {
+        let best = null;
 
-        // Try splitting on both axes
         for (const axis of ['x', 'y']) {
-            // Sort objects by centroid along this axis
-            const sorted = objects.map((obj, i) => ({
-                object: obj,
-                boundingBox: boundingBoxes[i],
-                centroid: axis === 'x'
-                    ? (boundingBoxes[i].minX + boundingBoxes[i].maxX) / 2
-                    : (boundingBoxes[i].minY + boundingBoxes[i].maxY) / 2
-            })).sort((a, b) => a.centroid - b.centroid);
-
-            // Try different split positions
-            const numSplits = Math.min(objects.length - 1, 10);
-            for (let i = 1; i <= numSplits; i++) {
-                const splitIndex = Math.floor(objects.length * i / (numSplits + 1));
-
-                const leftObjects = sorted.slice(0, splitIndex).map(s => s.object);
-                const rightObjects = sorted.slice(splitIndex).map(s => s.object);
-
-                if (leftObjects.length === 0 || rightObjects.length === 0) continue;
-
-                // Compute bounding boxes for both sides
-                const leftBBs = sorted.slice(0, splitIndex).map(s => s.boundingBox);
-                const rightBBs = sorted.slice(splitIndex).map(s => s.boundingBox);
-
-                const leftBB = BVHNode.computeBoundingBox(leftBBs);
-                const rightBB = BVHNode.computeBoundingBox(rightBBs);
-
-                // Compute SAH cost
-                const cost =
-                    BVHNode.computeSurfaceArea(leftBB) * leftObjects.length +
-                    BVHNode.computeSurfaceArea(rightBB) * rightObjects.length;
-
-                if (cost < bestCost) {
-                    bestCost = cost;
-                    bestSplit = {
-                        leftObjects,
-                        rightObjects,
-                        axis,
-                        position: sorted[splitIndex].centroid
-                    };
+            let min = Infinity;
+            let max = -Infinity;
+            centroids.forEach(c => {
+                min = Math.min(min, c[axis]);
+                max = Math.max(max, c[axis]);
+            });
+            if (max - min <= 0) continue;   // All centroids on one plane: no split on this axis
+
+            const scale = BVH.BIN_COUNT / (max - min);
+            const binOf = (i) => Math.min(BVH.BIN_COUNT - 1, Math.floor((centroids[i][axis] - min) * scale));
+
+            // Count and bounds of the objects in each bin
+            const counts = new Array(BVH.BIN_COUNT).fill(0);
+            const boxes = new Array(BVH.BIN_COUNT).fill(null);
+            const bins = objects.map((_, i) => {
+                const bin = binOf(i);
+                counts[bin]++;
+                boxes[bin] = BVH.union(boxes[bin], boundingBoxes[i]);
+                return bin;
+            });
+
+            // Bounds and counts right of each plane, accumulated from the right
+            const rightBoxes = new Array(BVH.BIN_COUNT).fill(null);
+            const rightCounts = new Array(BVH.BIN_COUNT).fill(0);
+            for (let b = BVH.BIN_COUNT - 1; b > 0; b--) {
+                rightBoxes[b] = BVH.union(b + 1 < BVH.BIN_COUNT ? rightBoxes[b + 1] : null, boxes[b]);
+                rightCounts[b] = (b + 1 < BVH.BIN_COUNT ? rightCounts[b + 1] : 0) + counts[b];
+            }
+
+            // Sweep the planes from the left
+            let leftBox = null;
+            let leftCount = 0;
+            for (let plane = 1; plane < BVH.BIN_COUNT; plane++) {
+                leftBox = BVH.union(leftBox, boxes[plane - 1]);
+                leftCount += counts[plane - 1];
+                if (leftCount === 0 || rightCounts[plane] === 0) continue;
+
+                const cost = BVH.splitCost(parentBox, leftBox, leftCount, rightBoxes[plane], rightCounts[plane]);
+                if (!best || cost < best.cost) {
+                    best = { axis, plane, bins, cost, position: min + plane / scale };
                 }
             }
         }
 
-        return bestSplit;
+        if (!best) return null;
+
+        const leftObjects = [];
+        const rightObjects = [];
+        objects.forEach((obj, i) => (best.bins[i] < best.plane ? leftObjects : rightObjects).push(obj));
+
+        return {
+            leftObjects,
+            rightObjects,
+            axis: best.axis,
+            position: best.position,
+            cost: best.cost
+        };
+    }
+
+    /**
+     * Full-sweep surface area heuristic
+     * Sorts the centroids along each axis and evaluates every split between neighbors; the most
+     * thorough (and slowest) strategy, useful as a reference for the binned builder
+     */
+    findSweepSplit(objects, boundingBoxes, centroids, parentBox) {
+        let best = null;
+
+        for (const axis of ['x', 'y']) {
+            const order = objects.map((_, i) => i).sort((a, b) => centroids[a][axis] - centroids[b][axis]);
+
+            // Bounds of the objects right of each split, accumulated from the right
+            const rightBoxes = new Array(order.length);
+            rightBoxes[order.length - 1] = boundingBoxes[order[order.length - 1]];
+            for (let i = order.length - 2; i > 0; i--) {
+                rightBoxes[i] = BVH.union(rightBoxes[i + 1], boundingBoxes[order[i]]);
+            }
+
+            let leftBox = null;
+            for (let i = 1; i < order.length; i++) {
+                leftBox = BVH.union(leftBox, boundingBoxes[order[i - 1]]);
+
+                const cost = BVH.splitCost(parentBox, leftBox, i, rightBoxes[i], order.length - i);
+                if (!best || cost < best.cost) {
+                    best = { axis, order, index: i, cost };
+                }
+            }
+        }
+
+        if (!best) return null;
+
+        return {
+            leftObjects: best.order.slice(0, best.index).map(i => objects[i]),
+            rightObjects: best.order.slice(best.index).map(i => objects[i]),
+            axis: best.axis,
+            position: centroids[best.order[best.index]][best.axis],
+            cost: best.cost
+        };
+    }
+
+    /**
+     * Expected cost of splitting a node in two (surface area heuristic)
+     * A ray reaching the node tests its box, then each child's objects with the probability of
+     * crossing that child's box (its surface area relative to the parent's)
+     */
+    static splitCost(parentBox, leftBox, leftCount, rightBox, rightCount) {
+        const parentArea = BVHNode.computeSurfaceArea(parentBox) || 1;
+        return BVH.TRAVERSAL_COST + BVH.INTERSECTION_COST * (
+            BVHNode.computeSurfaceArea(leftBox) / parentArea * leftCount +
+            BVHNode.computeSurfaceArea(rightBox) / parentArea * rightCount
+        );
+    }
+
+    /**
+     * Bounding box enclosing two boxes (either may be null)
+     */
+    static union(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return {
+            minX: Math.min(a.minX, b.minX),
+            minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX),
+            maxY: Math.max(a.maxY, b.maxY)
+        };
     }
 
     /**
      * Traverse BVH to find the closest ray intersection
      * @param {Ray} ray - The ray to test
      * @param {Object|null} currentMedium - Object ray is currently inside
+     * @param {Array|null} visited - If given, every node whose box the ray enters is pushed onto it
      * @returns {Intersection} Closest intersection
      */
-    traverse(ray, currentMedium = null) {
+    traverse(ray, currentMedium = null, visited = null) {
         if (!this.root) {
             return Intersection.noHit();
         }
 
-        return this.traverseNode(this.root, ray, currentMedium);
+        return this.traverseNode(this.root, ray, currentMedium, visited);
     }
 
     /**
@@ -135,36 +511,27 @@ export default class BVH {
      * @param {BVHNode} node - Current node
      * @param {Ray} ray - The ray to test
      * @param {Object|null} currentMedium - Object ray is currently inside
+     * @param {Array|null} visited - Collects the nodes entered (see traverse)
      * @returns {Intersection} Closest intersection in this subtree
      */
-    traverseNode(node, ray, currentMedium) {
+    traverseNode(node, ray, currentMedium, visited) {
         // Quick rejection: check if ray intersects node's AABB
-        if (!node.intersectsAABB(ray)) {
+        if (!node.intersectsAABB(ray, this.counters)) {
             return Intersection.noHit();
         }
 
-        // Leaf node: test against all objects
-        if (node.isLeaf) {
-            const intersections = [];
-
-            for (const object of node.objects) {
-                // Skip the object we're currently inside
-                if (currentMedium && object.id === currentMedium.id) {
-                    continue;
-                }
-
-                const intersection = GeometryMath.rayObjectIntersection(ray, object);
-                if (intersection.hit) {
-                    intersections.push(intersection);
-                }
-            }
+        if (visited) {
+            visited.push(node);
+        }
 
-            return Intersection.closest(intersections);
+        // Leaf node: test against all objects (except the one we're inside)
+        if (node.isLeaf) {
+            return this.intersectObjects(node.objects, ray, currentMedium, Intersection.noHit());
         }
 
         // Internal node: traverse children
-        const leftIntersection = node.left ? this.traverseNode(node.left, ray, currentMedium) : Intersection.noHit();
-        const rightIntersection = node.right ? this.traverseNode(node.right, ray, currentMedium) : Intersection.noHit();
+        const leftIntersection = node.left ? this.traverseNode(node.left, ray, currentMedium, visited) : Intersection.noHit();
+        const rightIntersection = node.right ? this.traverseNode(node.right, ray, currentMedium, visited) : Intersection.noHit();
 
         // Return closest of the two
         if (!leftIntersection.hit) return rightIntersection;
@@ -180,12 +547,20 @@ export default class BVH {
      * @returns {Object} Statistics
      */
     getStats() {
-        if (!this.root) {
-            return { depth: 0, nodes: 0, leaves: 0, objects: 0 };
+        const stats = {
+            type: this.type,
+            depth: 0,
+            nodes: 0,
+            leaves: 0,
+            objects: 0,
+            strategy: this.strategy,
+            buildTime: this.buildTime,  // ms, of the last full build
+            sahCost: this.getCost()     // Expected cost of a ray (lower is better)
+        };
+
+        if (this.root) {
+            this.computeStats(this.root, 0, stats);
         }
-
-        const stats = { depth: 0, nodes: 0, leaves: 0, objects: 0 };
-        this.computeStats(this.root, 0, stats);
         return stats;
     }
 
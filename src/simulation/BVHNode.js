@@ -14,17 +14,39 @@ export default class BVHNode {
         this.objects = [];        // Objects in this node (leaf only)
         this.left = null;         // Left child node
         this.right = null;        // Right child node
+        this.parent = null;       // Parent node (null for the root)
         this.isLeaf = false;      // Whether this is a leaf node
     }
 
+    /**
+     * Recompute this node's bounding box from its objects (leaf) or its children
+     * @param {Map} boxes - Bounding box of every object, by object ID
+     * @returns {boolean} True if the bounding box changed
+     */
+    refitBoundingBox(boxes) {
+        const childBoxes = this.isLeaf
+            ? this.objects.map(obj => boxes.get(obj.id))
+            : [this.left, this.right].filter(Boolean).map(child => child.boundingBox);
+        const boundingBox = BVHNode.computeBoundingBox(childBoxes);
+
+        const changed = !BVHNode.sameBoundingBox(boundingBox, this.boundingBox);
+        this.boundingBox = boundingBox;
+        return changed;
+    }
+
     /**
      * Check if a ray intersects with this node's bounding box
      * @param {Ray} ray - The ray to test
+     * @param {TraversalCounters|null} counters - Counts the test, if given
      * @returns {boolean} True if ray intersects AABB
      */
-    intersectsAABB(ray) {
+    intersectsAABB(ray, counters = null) {
         if (!this.boundingBox) return false;
 
+        if (counters) {
+            counters.aabbTests++;
+        }
+
         const { minX, minY, maxX, maxY } = this.boundingBox;
 
         // Ray-AABB intersection using slab method
@@ -77,14 +99,25 @@ export default class BVHNode {
         };
     }
 
+    /**
+     * Check if two bounding boxes are identical (either may be null)
+     */
+    static sameBoundingBox(a, b) {
+        if (!a || !b) return a === b;
+        return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+    }
+
     /**
      * Compute surface area of a bounding box
+     * In 2D the "surface" of a box is its boundary, so this is the half perimeter: the chance
+     * a random ray crosses a convex region is proportional to its perimeter (using the area
+     * would make thin boxes, like the ones around mirrors, look free to hit)
      * @param {Object} boundingBox - The AABB
-     * @returns {number} Surface area
+     * @returns {number} Surface area (half perimeter)
      */
     static computeSurfaceArea(boundingBox) {
         const width = boundingBox.maxX - boundingBox.minX;
         const height = boundingBox.maxY - boundingBox.minY;
-        return width * height;
+        return width + height;
     }
 }
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * file: src/simulation/Benchmark.js
+ * desc: Compares tracing a scene with an acceleration structure against brute-force intersection tests.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import RayTracer from './RayTracer.js';
+import TraversalCounters from './TraversalCounters.js';
+
+/**
+ * Benchmark - Traces the same pass repeatedly with and without the acceleration structure
+ * Both modes trace batch 0 with the same settings, so they cast exactly the same rays; their
+ * counters and times are averaged over the runs.
+ */
+export default class Benchmark {
+    // Accepted number of runs per mode
+    static MIN_RUNS = 1;
+    static MAX_RUNS = 50;
+
+    /**
+     * Run the benchmark
+     * Yields to the browser between runs so progress can be shown.
+     * @param {Object} scene - Scene in the shape RayTracer expects ({ objects, targets, focalPoints })
+     * @param {Object} settings - RayTracer settings (accelerator picks the structure; useBVH is set by each mode)
+     * @param {number} runs - Passes traced per mode
+     * @param {Function} onProgress - Called with the fraction (0-1) of passes done
+     * @returns {Promise<Object>} { runs, objects, accelerator, accelerated, bruteForce, speedup,
+     *                            testReduction, consistent }
+     */
+    static async run(scene, settings, runs = 5, onProgress = () => {}) {
+        runs = Math.max(Benchmark.MIN_RUNS, Math.min(Benchmark.MAX_RUNS, Math.floor(runs)));
+
+        const total = runs * 2;
+        let done = 0;
+        const measure = async (useBVH) => {
+            const rayTracer = new RayTracer(scene, { ...settings, useBVH });
+            rayTracer.updateAccelerator();      // Building the structure is not part of the timed passes
+
+            const totals = new TraversalCounters();
+            let segments = 0;
+            for (let run = 0; run < runs; run++) {
+                segments = rayTracer.traceAll(0).count;
+                totals.add(rayTracer.counters);
+
+                onProgress(++done / total);
+                await new Promise(resolve => setTimeout(resolve));
+            }
+
+            return {
+                rays: totals.rays / runs,
+                aabbTests: totals.aabbTests / runs,
+                primitiveTests: totals.primitiveTests / runs,
+                time: totals.time / runs,
+                buildTime: rayTracer.accelerator?.buildTime ?? 0,
+                segments
+            };
+        };
+
+        const accelerated = await measure(true);
+        const bruteForce = await measure(false);
+
+        return {
+            runs,
+            objects: scene.objects.length + scene.targets.length,
+            accelerator: settings.accelerator ?? 'bvh',
+            accelerated,
+            bruteForce,
+            speedup: accelerated.time > 0 ? bruteForce.time / accelerated.time : 0,
+            testReduction: accelerated.primitiveTests > 0
+                ? bruteForce.primitiveTests / accelerated.primitiveTests
+                : 0,
+            // Both modes must find the same hits, so they trace the same number of segments
+            consistent: accelerated.segments === bruteForce.segments
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * file: src/simulation/DetectorReading.js
+ * desc: Accumulates the binned ray hits recorded by a detector screen.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * DetectorReading - Intensity and hit counts per bin of one detector
+ * Readings are kept apart from the Detector itself so tracing never modifies the scene.
+ * Progressive runs merge the reading of every batch; profiles are averaged over batches.
+ */
+export default class DetectorReading {
+    /**
+     * @param {Detector} detector - The detector being read (its bin layout is copied)
+     */
+    constructor(detector) {
+        this.detectorId = detector.id;
+        this.binCount = detector.binCount;
+        this.angleBinCount = detector.angleBinCount;
+        this.profileLength = detector.getProfileLength();
+
+        this.intensity = new Float64Array(this.binCount);
+        this.hits = new Uint32Array(this.binCount);
+        // Position x angle grid, row-major by position (null when angles aren't binned)
+        this.angular = this.angleBinCount > 0
+            ? new Float64Array(this.binCount * this.angleBinCount)
+            : null;
+
+        this.totalIntensity = 0;
+        this.totalHits = 0;
+        this.batches = 1;
+    }
+
+    /**
+     * Record a ray hitting the detector
+     * @param {Detector} detector - The detector that was hit
+     * @param {Object} point - Hit point {x, y}
+     * @param {Object} direction - Ray direction (normalized)
+     * @param {number} intensity - Intensity the ray arrived with
+     */
+    record(detector, point, direction, intensity) {
+        const bin = detector.getBinIndex(detector.getProfilePosition(point));
+
+        this.intensity[bin] += intensity;
+        this.hits[bin]++;
+        this.totalIntensity += intensity;
+        this.totalHits++;
+
+        if (this.angular) {
+            const angleBin = detector.getAngleBinIndex(detector.getIncidenceAngle(point, direction));
+            this.angular[bin * this.angleBinCount + angleBin] += intensity;
+        }
+    }
+
+    /**
+     * Check if another reading has the same bin layout (so it can be merged into this one)
+     */
+    isCompatible(other) {
+        return other.detectorId === this.detectorId &&
+            other.binCount === this.binCount &&
+            other.angleBinCount === this.angleBinCount;
+    }
+
+    /**
+     * Add another batch's reading into this one
+     */
+    merge(other) {
+        for (let i = 0; i < this.binCount; i++) {
+            this.intensity[i] += other.intensity[i];
+            this.hits[i] += other.hits[i];
+        }
+        if (this.angular) {
+            for (let i = 0; i < this.angular.length; i++) {
+                this.angular[i] += other.angular[i];
+            }
+        }
+
+        this.totalIntensity += other.totalIntensity;
+        this.totalHits += other.totalHits;
+        this.batches += other.batches;
+    }
+
+    /**
+     * Intensity per position bin, averaged over batches
+     */
+    getProfile() {
+        return Array.from(this.intensity, value => value / this.batches);
+    }
+
+    /**
+     * Intensity per angle bin (summed over positions), averaged over batches
+     */
+    getAngularProfile() {
+        if (!this.angular) {
+            return [];
+        }
+
+        const profile = new Array(this.angleBinCount).fill(0);
+        for (let i = 0; i < this.angular.length; i++) {
+            profile[i % this.angleBinCount] += this.angular[i] / this.batches;
+        }
+        return profile;
+    }
+
+    /**
+     * Position (px along the screen) at the center of each bin
+     */
+    getBinCenters() {
+        const width = this.profileLength / this.binCount;
+        return Array.from({ length: this.binCount }, (_, i) => (i + 0.5) * width);
+    }
+
+    /**
+     * Incidence angle (degrees) at the center of each angle bin
+     */
+    getAngleBinCenters() {
+        const width = 180 / this.angleBinCount;
+        return Array.from({ length: this.angleBinCount }, (_, i) => -90 + (i + 0.5) * width);
+    }
+
+    /**
+     * Export the bins as CSV
+     * One row per position bin, or per position and angle bin when angles are binned.
+     * Intensities are averaged over batches, hit counts are totals.
+     * @returns {string}
+     */
+    toCSV() {
+        const positions = this.getBinCenters();
+        const rows = [];
+
+        if (this.angular) {
+            const angles = this.getAngleBinCenters();
+            rows.push('position_px,angle_deg,intensity');
+            positions.forEach((position, i) => {
+                angles.forEach((angle, j) => {
+                    const intensity = this.angular[i * this.angleBinCount + j] / this.batches;
+                    rows.push(`${position.toFixed(3)},${angle.toFixed(3)},${intensity}`);
+                });
+            });
+        } else {
+            rows.push('position_px,intensity,hits');
+            positions.forEach((position, i) => {
+                rows.push(`${position.toFixed(3)},${this.intensity[i] / this.batches},${this.hits[i]}`);
+            });
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * Restore a reading posted back by the trace worker
+     * Structured cloning keeps the data (typed arrays included) but drops the class
+     */
+    static fromJSON(json) {
+        return Object.assign(Object.create(DetectorReading.prototype), json);
+    }
+}
\ No newline at end of file
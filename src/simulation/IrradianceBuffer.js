@@ -0,0 +1,210 @@
+/**
+ * file: src/simulation/IrradianceBuffer.js
+ * desc: Accumulation grid that rasterizes the energy carried by ray segments.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import Colormap from '@/utils/Colormap.js';
+
+/**
+ * IrradianceBuffer - Energy deposited by rays over a grid of square cells
+ * Each segment adds its intensity times the length it travels through a cell (in units of the
+ * cell size), so a single ray of intensity 1 crossing a cell adds about 1. Bright areas are
+ * where many rays (or strong ones) pass: caustics, foci and beams.
+ */
+export default class IrradianceBuffer {
+    /**
+     * @param {number} width - Covered width in world units (px)
+     * @param {number} height - Covered height in world units (px)
+     * @param {number} cellSize - Side of a cell in world units (px)
+     */
+    constructor(width, height, cellSize = 2) {
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.energy = new Float32Array(this.columns * this.rows);
+        this.pixels = new Uint8Array(this.columns * this.rows * 4);
+    }
+
+    /**
+     * Check if the buffer already covers a canvas of the given size at the given cell size
+     */
+    matches(width, height, cellSize) {
+        return this.cellSize === cellSize &&
+            this.columns === Math.max(1, Math.ceil(width / cellSize)) &&
+            this.rows === Math.max(1, Math.ceil(height / cellSize));
+    }
+
+    /**
+     * Remove all accumulated energy
+     */
+    clear() {
+        this.energy.fill(0);
+    }
+
+    /**
+     * Get the largest energy in any cell
+     */
+    getMaxEnergy() {
+        let max = 0;
+        for (let i = 0; i < this.energy.length; i++) {
+            if (this.energy[i] > max) max = this.energy[i];
+        }
+        return max;
+    }
+
+    /**
+     * Rasterize every segment of a traced pass
+     * @param {SegmentBuffer} segments - Segments produced by RayTracer.traceAll
+     */
+    addSegments(segments) {
+        for (let i = 0; i < segments.count; i++) {
+            const startIntensity = segments.intensity[i];
+            const endIntensity = segments.endIntensity[i];
+
+            if (segments.isCurved(i)) {
+                this.addPolyline(segments.points, segments.pointOffset[i], segments.pointCount[i],
+                    startIntensity, endIntensity);
+            } else {
+                this.addSegment(segments.startX[i], segments.startY[i], segments.endX[i], segments.endY[i],
+                    startIntensity, endIntensity);
+            }
+        }
+    }
+
+    /**
+     * Rasterize a curved path, interpolating the intensity along its length
+     * @param {Float32Array} points - Packed x, y coordinates
+     * @param {number} offset - Index of the path's first point
+     * @param {number} count - Number of points in the path
+     */
+    addPolyline(points, offset, count, startIntensity, endIntensity) {
+        const first = offset * 2;
+        const last = first + (count - 1) * 2;
+
+        let total = 0;
+        for (let p = first; p < last; p += 2) {
+            total += Math.hypot(points[p + 2] - points[p], points[p + 3] - points[p + 1]);
+        }
+        if (total === 0) return;
+
+        let travelled = 0;
+        for (let p = first; p < last; p += 2) {
+            const length = Math.hypot(points[p + 2] - points[p], points[p + 3] - points[p + 1]);
+            const from = this.intensityAt(startIntensity, endIntensity, travelled / total);
+            const to = this.intensityAt(startIntensity, endIntensity, (travelled + length) / total);
+            this.addSegment(points[p], points[p + 1], points[p + 2], points[p + 3], from, to);
+            travelled += length;
+        }
+    }
+
+    /**
+     * Rasterize a straight segment from (x0, y0) to (x1, y1)
+     * The part inside the grid is sampled at half-cell steps; each sample deposits the
+     * intensity at that point times the step length.
+     */
+    addSegment(x0, y0, x1, y1, startIntensity, endIntensity) {
+        if (startIntensity <= 0) return;
+
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const clipped = this.clipToGrid(x0, y0, dx, dy);
+        if (!clipped) return;
+
+        const [t0, t1] = clipped;
+        const length = Math.sqrt(dx * dx + dy * dy) * (t1 - t0);
+        const steps = Math.max(1, Math.ceil(length / (this.cellSize / 2)));
+        const weight = length / steps / this.cellSize;
+
+        for (let i = 0; i < steps; i++) {
+            const t = t0 + (t1 - t0) * (i + 0.5) / steps;
+            const column = Math.floor((x0 + dx * t) / this.cellSize);
+            const row = Math.floor((y0 + dy * t) / this.cellSize);
+            if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) continue;
+
+            this.energy[row * this.columns + column] += weight * this.intensityAt(startIntensity, endIntensity, t);
+        }
+    }
+
+    /**
+     * Intensity at a fraction of the way along a segment
+     * Attenuation is exponential, so interpolate in log space (like the line renderer)
+     */
+    intensityAt(startIntensity, endIntensity, t) {
+        if (endIntensity >= startIntensity) {
+            return startIntensity;
+        }
+        if (endIntensity <= 0) {
+            return startIntensity * (1 - t);
+        }
+        return startIntensity * Math.pow(endIntensity / startIntensity, t);
+    }
+
+    /**
+     * Clip the segment (x0, y0) + t * (dx, dy), t in [0, 1], to the grid's extent
+     * @returns {Array<number>|null} [t0, t1], or null if the segment misses the grid
+     */
+    clipToGrid(x0, y0, dx, dy) {
+        let t0 = 0;
+        let t1 = 1;
+        const width = this.columns * this.cellSize;
+        const height = this.rows * this.cellSize;
+
+        // Liang-Barsky: each edge limits the parameter range from one side
+        const edges = [
+            [-dx, x0],
+            [dx, width - x0],
+            [-dy, y0],
+            [dy, height - y0]
+        ];
+
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q < 0) return null;
+                continue;
+            }
+            const r = q / p;
+            if (p < 0) {
+                t0 = Math.max(t0, r);
+            } else {
+                t1 = Math.min(t1, r);
+            }
+        }
+
+        return t0 < t1 ? [t0, t1] : null;
+    }
+
+    /**
+     * Tone-map the accumulated energy into RGBA pixels (one per cell)
+     * Logarithmic mapping relative to the brightest cell: higher exposure lifts dim regions
+     * @param {number} exposure - Exposure in stops (each stop doubles the brightness of dim areas)
+     * @param {string} colormap - Name of a Colormap map
+     * @returns {Uint8Array} The buffer's pixel array (reused between calls)
+     */
+    toneMap(exposure, colormap) {
+        const table = Colormap.getTable(colormap);
+        const gain = Math.pow(2, exposure);
+        const max = this.getMaxEnergy();
+        const scale = max > 0 ? 1 / Math.log1p(gain * max) : 0;
+
+        for (let i = 0; i < this.energy.length; i++) {
+            const energy = this.energy[i];
+            const p = i * 4;
+
+            if (energy <= 0) {
+                this.pixels[p + 3] = 0;     // Transparent where no light passed
+                continue;
+            }
+
+            const t = Math.min(1, Math.log1p(gain * energy) * scale);
+            const entry = Math.round(t * 255) * 3;
+            this.pixels[p] = table[entry];
+            this.pixels[p + 1] = table[entry + 1];
+            this.pixels[p + 2] = table[entry + 2];
+            this.pixels[p + 3] = Math.round(255 * Math.min(1, 4 * t));
+        }
+
+        return this.pixels;
+    }
+}
\ No newline at end of file
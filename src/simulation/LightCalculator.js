@@ -59,9 +59,113 @@ export default class LightCalculator {
      * @returns {number} Reflectance (0-1)
      */
     static fresnelReflectance(cosTheta, n1, n2) {
+        let cos = Math.abs(cosTheta);
+
+        // Going into a less dense medium, Schlick must use the transmitted angle
+        if (n1 > n2) {
+            const eta = n1 / n2;
+            const sinT2 = eta * eta * (1 - cos * cos);
+
+            // Total internal reflection
+            if (sinT2 > 1) {
+                return 1;
+            }
+            cos = Math.sqrt(1 - sinT2);
+        }
+
         // Schlick's approximation
         let r0 = ((n1 - n2) / (n1 + n2)) ** 2;
-        return r0 + (1 - r0) * Math.pow(1 - Math.abs(cosTheta), 5);
+        return r0 + (1 - r0) * Math.pow(1 - cos, 5);
+    }
+
+    /**
+     * Calculate Fresnel reflectance using the full Fresnel equations
+     * Unpolarized light is assumed, so the s and p reflectances are averaged
+     * @param {number} cosTheta - Cosine of incident angle
+     * @param {number} n1 - Refractive index of original medium
+     * @param {number} n2 - Refractive index of destination medium
+     * @returns {number} Reflectance (0-1)
+     */
+    static fresnelReflectanceExact(cosTheta, n1, n2) {
+        const cosI = Math.abs(cosTheta);
+        const eta = n1 / n2;
+        const sinT2 = eta * eta * (1 - cosI * cosI);
+
+        // Total internal reflection
+        if (sinT2 > 1) {
+            return 1;
+        }
+
+        const cosT = Math.sqrt(1 - sinT2);
+
+        // s-polarized (perpendicular) and p-polarized (parallel) amplitudes
+        const rs = (n1 * cosI - n2 * cosT) / (n1 * cosI + n2 * cosT);
+        const rp = (n1 * cosT - n2 * cosI) / (n1 * cosT + n2 * cosI);
+
+        return (rs * rs + rp * rp) / 2;
+    }
+
+    /**
+     * Spread an outgoing direction into a lobe of scattered directions
+     * Each direction is weighted by cos^exponent of its angle to the lobe axis.
+     * Directions that would cross back through the surface are discarded and
+     * the remaining weights are normalized to sum to 1.
+     * @param {Object} axis - Lobe axis direction (normalized)
+     * @param {Object} surfaceNormal - Normal on the side the scattered light leaves from (normalized)
+     * @param {number} exponent - Lobe exponent (1 = Lambertian, larger = tighter lobe)
+     * @param {number} count - Number of directions in the fan
+     * @param {boolean} stochastic - Pick a single random direction from the lobe instead of a fan
+     * @param {Function} random - Random number generator returning values in [0, 1)
+     * @returns {Array<{direction: Object, weight: number}>} Scattered directions
+     */
+    static scatter(axis, surfaceNormal, exponent, count, stochastic = false, random = Math.random) {
+        // Half-width of the lobe: angle at which its weight falls to 1% (at most 90 degrees)
+        const spread = Math.min(Math.PI / 2, Math.acos(Math.pow(0.01, 1 / exponent)));
+
+        const rotate = (angle) => {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            return {
+                x: axis.x * cos - axis.y * sin,
+                y: axis.x * sin + axis.y * cos
+            };
+        };
+        const leavesSurface = (direction) => this.dot(direction, surfaceNormal) > 1e-6;
+
+        if (stochastic) {
+            // Rejection sample a single direction from the lobe
+            for (let attempt = 0; attempt < 64; attempt++) {
+                const angle = (2 * random() - 1) * spread;
+                const direction = rotate(angle);
+                if (leavesSurface(direction) && random() < Math.pow(Math.cos(angle), exponent)) {
+                    return [{ direction, weight: 1 }];
+                }
+            }
+            return [{ direction: { ...axis }, weight: 1 }];
+        }
+
+        // Evenly spaced fan across the lobe
+        const scattered = [];
+        let totalWeight = 0;
+
+        for (let i = 0; i < count; i++) {
+            const angle = count === 1 ? 0 : -spread + (i + 0.5) * (2 * spread / count);
+            const direction = rotate(angle);
+            if (!leavesSurface(direction)) {
+                continue;
+            }
+
+            const weight = Math.pow(Math.cos(angle), exponent);
+            scattered.push({ direction, weight });
+            totalWeight += weight;
+        }
+
+        if (totalWeight === 0) {
+            return [{ direction: { ...axis }, weight: 1 }];
+        }
+
+        scattered.forEach(s => s.weight /= totalWeight);
+        return scattered;
     }
 
     /**
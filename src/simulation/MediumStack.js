@@ -0,0 +1,88 @@
+/**
+ * file: src/simulation/MediumStack.js
+ * desc: Tracks the nested and overlapping media a ray is travelling through.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * MediumStack - The objects a ray is currently inside, in the order it entered them
+ *
+ * The medium the ray actually travels through is the one with the highest material
+ * medium priority; ties go to the most recently entered object, so an object placed inside
+ * another one (a glass sphere in a water tank) fills its own volume by default.
+ * Stacks are immutable: entering or exiting returns a new stack, so branches of a ray tree
+ * can't disturb each other.
+ */
+export default class MediumStack {
+    constructor(objects = []) {
+        this.objects = objects;
+    }
+
+    /**
+     * Build a stack from a containment chain (outermost first)
+     * @param {Array<GeometricObject>} chain - Objects containing a point
+     */
+    static fromChain(chain) {
+        return new MediumStack([...chain]);
+    }
+
+    /**
+     * Get the medium the ray is travelling through (null = air)
+     */
+    current() {
+        let medium = null;
+
+        this.objects.forEach(object => {
+            if (!medium || object.material.mediumPriority >= medium.material.mediumPriority) {
+                medium = object;
+            }
+        });
+
+        return medium;
+    }
+
+    /**
+     * Check if the ray is inside an object
+     */
+    contains(object) {
+        return this.objects.some(o => o.id === object.id);
+    }
+
+    /**
+     * Get the stack after entering an object
+     */
+    enter(object) {
+        return new MediumStack([...this.objects, object]);
+    }
+
+    /**
+     * Get the stack after exiting an object
+     */
+    exit(object) {
+        return new MediumStack(this.objects.filter(o => o.id !== object.id));
+    }
+
+    /**
+     * Get the stack after crossing an object's surface (exit if inside, otherwise enter)
+     */
+    cross(object) {
+        return this.contains(object) ? this.exit(object) : this.enter(object);
+    }
+
+    /**
+     * Refractive index of the current medium
+     * @param {number|null} wavelength - Wavelength in nanometers (null = base index)
+     * @param {number} airRefractiveIndex - Index used outside all objects
+     * @param {Object|null} point - Where to evaluate gradient-index media ({x, y}, null = base index)
+     */
+    getRefractiveIndex(wavelength, airRefractiveIndex, point = null) {
+        const medium = this.current();
+        if (!medium) {
+            return airRefractiveIndex;
+        }
+        return point
+            ? medium.getRefractiveIndexAt(point.x, point.y, wavelength)
+            : medium.material.getRefractiveIndex(wavelength);
+    }
+}
\ No newline at end of file
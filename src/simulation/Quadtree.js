@@ -0,0 +1,198 @@
+/**
+ * file: src/simulation/Quadtree.js
+ * desc: Quadtree acceleration structure.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import Accelerator from './Accelerator.js';
+import BVHNode from './BVHNode.js';
+import Intersection from './Intersection.js';
+
+/**
+ * Quadtree - The scene's bounds split into four equal quadrants, recursively, where crowded
+ *
+ * Unlike the BVH, the quadrants of a node never overlap, so a ray visits them front to back and
+ * stops once the closest hit so far lies within the quadrants already visited. Objects
+ * overlapping several leaves are listed in each and only tested once per ray. Adapts to clustered
+ * scenes better than a uniform grid; objects spanning many quadrants are repeated in all of them.
+ */
+export default class Quadtree extends Accelerator {
+    // Deepest level (a cap for objects that overlap everywhere, e.g. stacked on one spot)
+    static MAX_DEPTH = 8;
+
+    /**
+     * @param {Array} objects - Objects to put in the tree
+     * @param {number} maxObjectsPerLeaf - Split leaves holding more objects than this
+     */
+    constructor(objects, maxObjectsPerLeaf = 4) {
+        super('quadtree');
+        this.maxObjectsPerLeaf = maxObjectsPerLeaf;
+        this.build(objects);
+    }
+
+    /**
+     * Build the tree from scratch
+     * @param {Array} objects - Objects to put in the tree
+     */
+    build(objects) {
+        const start = performance.now();
+
+        this.objectCount = objects.length;
+        this.root = null;
+
+        if (objects.length > 0) {
+            const entries = objects.map(obj => ({ object: obj, box: obj.getBoundingBox() }));
+
+            // A square root cell, so quadrants stay square
+            const bounds = BVHNode.computeBoundingBox(entries.map(entry => entry.box));
+            const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1);
+            this.root = this.buildNode({
+                minX: bounds.minX,
+                minY: bounds.minY,
+                maxX: bounds.minX + size,
+                maxY: bounds.minY + size
+            }, entries, 0);
+        }
+
+        this.buildTime = performance.now() - start;
+    }
+
+    /**
+     * Build a node for a square region
+     * @param {Object} box - The region
+     * @param {Array} entries - {object, box} of the objects overlapping the region
+     * @param {number} depth - Depth of the node
+     * @returns {Object} Node {box, objects, children} (children is null for a leaf)
+     */
+    buildNode(box, entries, depth) {
+        if (entries.length <= this.maxObjectsPerLeaf || depth >= Quadtree.MAX_DEPTH) {
+            return { box, objects: entries.map(entry => entry.object), children: null };
+        }
+
+        const midX = (box.minX + box.maxX) / 2;
+        const midY = (box.minY + box.maxY) / 2;
+        const quadrants = [
+            { minX: box.minX, minY: box.minY, maxX: midX, maxY: midY },
+            { minX: midX, minY: box.minY, maxX: box.maxX, maxY: midY },
+            { minX: box.minX, minY: midY, maxX: midX, maxY: box.maxY },
+            { minX: midX, minY: midY, maxX: box.maxX, maxY: box.maxY }
+        ];
+
+        return {
+            box,
+            objects: null,
+            children: quadrants.map(quadrant => this.buildNode(
+                quadrant,
+                entries.filter(entry => Accelerator.boxesOverlap(entry.box, quadrant)),
+                depth + 1
+            ))
+        };
+    }
+
+    /**
+     * Rebuild with the current objects
+     */
+    update(objects) {
+        this.build(objects);
+        return { rebuilt: objects.length };
+    }
+
+    /**
+     * Find the closest intersection, visiting quadrants front to back
+     * @param {Ray} ray - The ray to test
+     * @param {Object|null} currentMedium - Object ray is currently inside
+     * @param {Array|null} visited - If given, every node the ray enters is pushed onto it
+     * @returns {Intersection} Closest intersection
+     */
+    traverse(ray, currentMedium = null, visited = null) {
+        if (!this.root) {
+            return Intersection.noHit();
+        }
+
+        if (this.counters) {
+            this.counters.aabbTests++;
+        }
+        if (!Accelerator.rayBoxInterval(ray, this.root.box)) {
+            return Intersection.noHit();
+        }
+
+        return this.traverseNode(this.root, ray, currentMedium, visited, new Set(), Intersection.noHit());
+    }
+
+    /**
+     * Recursively traverse a node the ray enters
+     * @param {Object} node - Current node
+     * @param {Ray} ray - The ray to test
+     * @param {Object|null} currentMedium - Object ray is currently inside
+     * @param {Array|null} visited - Collects the nodes entered (see traverse)
+     * @param {Set} tested - IDs of the objects already tested
+     * @param {Intersection} closest - Closest hit so far
+     * @returns {Intersection} Closest hit so far, including this node's
+     */
+    traverseNode(node, ray, currentMedium, visited, tested, closest) {
+        if (visited) {
+            visited.push(node);
+        }
+
+        if (!node.children) {
+            return this.intersectObjects(node.objects, ray, currentMedium, closest, tested);
+        }
+
+        // Quadrants the ray crosses, nearest first
+        const crossed = [];
+        for (const child of node.children) {
+            if (this.counters) {
+                this.counters.aabbTests++;
+            }
+            const span = Accelerator.rayBoxInterval(ray, child.box);
+            if (span) {
+                crossed.push({ child, span });
+            }
+        }
+        crossed.sort((a, b) => a.span.enter - b.span.enter);
+
+        for (const { child, span } of crossed) {
+            // Quadrants don't overlap: a hit before this one is entered beats everything in it
+            if (closest.hit && closest.distance <= span.enter) {
+                break;
+            }
+
+            closest = this.traverseNode(child, ray, currentMedium, visited, tested, closest);
+        }
+
+        return closest;
+    }
+
+    /**
+     * Get statistics about the tree
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        const stats = {
+            type: this.type,
+            depth: 0,
+            nodes: 0,
+            leaves: 0,
+            objects: this.objectCount,
+            references: 0,      // Object entries over all leaves (objects in several leaves repeat)
+            buildTime: this.buildTime
+        };
+
+        const stack = this.root ? [{ node: this.root, depth: 0 }] : [];
+        while (stack.length > 0) {
+            const { node, depth } = stack.pop();
+            stats.nodes++;
+            stats.depth = Math.max(stats.depth, depth);
+
+            if (node.children) {
+                node.children.forEach(child => stack.push({ node: child, depth: depth + 1 }));
+            } else {
+                stats.leaves++;
+                stats.references += node.objects.length;
+            }
+        }
+
+        return stats;
+    }
+}
\ No newline at end of file
@@ -9,11 +9,12 @@
  * Ray class representing a light ray
  */
 export default class Ray {
-    constructor(origin, direction, intensity = 1.0, generation = 0) {
+    constructor(origin, direction, intensity = 1.0, generation = 0, wavelength = null) {
         this.origin = { x: origin.x, y: origin.y };
         this.direction = this.normalize(direction);
         this.intensity = intensity;     // 0.0 to 1.0
         this.generation = generation;   // Number of bounces
+        this.wavelength = wavelength;   // In nanometers (null = white light)
     }
 
     /**
@@ -48,7 +49,8 @@ export default class Ray {
             newOrigin,
             newDirection,
             this.intensity * intensityMultiplier,
-            this.generation + 1
+            this.generation + 1,
+            this.wavelength
         );
     }
 }
\ No newline at end of file
@@ -10,6 +10,14 @@ import Intersection from './Intersection.js';
 import LightCalculator from "./LightCalculator.js";
 import GeometryMath from '@/utils/math/GeometryMath.js';
 import BVH from './BVH.js';
+import UniformGrid from './UniformGrid.js';
+import Quadtree from './Quadtree.js';
+import MediumStack from './MediumStack.js';
+import Random from '@/utils/Random.js';
+import DetectorReading from './DetectorReading.js';
+import TargetStatistics from './TargetStatistics.js';
+import SegmentBuffer from './SegmentBuffer.js';
+import TraversalCounters from './TraversalCounters.js';
 
 /**
  * RayTracer - Main ray-tracing engine
@@ -23,139 +31,254 @@ export default class RayTracer {
             airRefractiveIndex: 1.0,
             canvasWidth: settings.canvasWidth || 800,
             canvasHeight: settings.canvasHeight || 600,
-            useBVH: settings.useBVH || true,   // Enable BVH by default
+            useBVH: settings.useBVH ?? true,   // Use the acceleration structure (brute force when off)
+            accelerator: settings.accelerator || 'bvh',         // Acceleration structure (see Accelerator.TYPES)
+            bvhStrategy: settings.bvhStrategy || 'binned',      // BVH build strategy (see BVH.STRATEGIES)
+            curvedRays: settings.curvedRays ?? true,            // Bend rays inside gradient-index media
+            gradientStepSize: settings.gradientStepSize || 2,   // Integration step (px) inside gradient-index media
+            maxGradientSteps: settings.maxGradientSteps || 5000,
+            seed: settings.seed ?? 1,                           // Seed for stochastic emission and scattering
             ...settings
         };
 
-        // BVH structure (rebuilt when scene changes)
-        this.bvh = null;
-        this.bvhDirty = true;
+        // Generator for Monte Carlo sampling (reseeded at the start of every pass)
+        this.random = new Random(this.settings.seed);
+
+        // Binned hits of every detector in the last pass, by detector ID
+        this.detectorReadings = new Map();
+
+        // Light that reached every target in the last pass, by target ID
+        this.targetStatistics = new Map();
+
+        // Segments traced in the current pass
+        this.segments = new SegmentBuffer();
+
+        // Intersection work done in the last pass
+        this.counters = new TraversalCounters();
+
+        // Acceleration structure (updated when the scene changes, rebuilt when it degrades)
+        this.accelerator = null;
+        this.acceleratorDirty = true;
     }
 
     /**
-     * Rebuild BVH if scene has changed
+     * Rebuild the acceleration structure from scratch
      */
-    rebuildBVH() {
+    rebuildAccelerator() {
         if (!this.settings.useBVH) {
-            this.bvh = null;
+            this.accelerator = null;
+            this.acceleratorDirty = false;
+            return;
         }
 
-        // Combine objects and targets into one array for BVH
+        // Combine objects and targets into one array for the structure
         const allObjects = [
             ...this.sceneStore.objects,
             ...this.sceneStore.targets
         ]
 
         if (allObjects.length === 0) {
-            this.bvh = null;
+            this.accelerator = null;
         } else {
-            // Build BVH from all objects
-            this.bvh = new BVH(allObjects, 4);     // Max 4 objects per leaf
+            this.accelerator = this.createAccelerator(allObjects);
+            this.accelerator.counters = this.counters;
             // logging:
-            const stats = this.bvh.getStats();
-            console.log(`  Nodes: ${stats.nodes}, Leaves: ${stats.leaves}, Depth: ${stats.depth}`);
-            console.log(`  Objects: ${stats.objects}, Avg per leaf: ${(stats.objects / stats.leaves).toFixed(1)}`);
+            const stats = this.accelerator.getStats();
+            console.log(`  ${stats.type}: Nodes: ${stats.nodes}, Leaves: ${stats.leaves}, Depth: ${stats.depth}`);
+            console.log(`  Objects: ${stats.objects}, Built in ${stats.buildTime.toFixed(2)} ms`);
         }
 
-        this.bvhDirty = false;
+        this.acceleratorDirty = false;
+    }
+
+    /**
+     * Create the acceleration structure chosen in the settings
+     * @param {Array} objects - Objects and targets to put in it
+     * @returns {Accelerator}
+     */
+    createAccelerator(objects) {
+        switch (this.settings.accelerator) {
+            case 'grid':
+                return new UniformGrid(objects);
+            case 'quadtree':
+                return new Quadtree(objects, 4);                        // Max 4 objects per leaf
+            default:
+                return new BVH(objects, 4, this.settings.bvhStrategy);  // Max 4 objects per leaf
+        }
     }
 
     /**
-     * Mark BVH as needing rebuild
+     * Check if the current structure was built with the current settings
      */
-    invalidateBVH() {
-        this.bvhDirty = true;
+    acceleratorMatchesSettings() {
+        if (this.accelerator.type !== this.settings.accelerator) {
+            return false;
+        }
+        return this.accelerator.type !== 'bvh' || this.accelerator.strategy === this.settings.bvhStrategy;
+    }
+
+    /**
+     * Bring the acceleration structure up to date before tracing
+     * Moved, added and removed objects are applied to the existing structure (the BVH refits,
+     * the grid and quadtree rebuild themselves); it is only rebuilt from scratch when there is
+     * none yet, the settings changed, or the updates have degraded it too much.
+     */
+    updateAccelerator() {
+        if (!this.accelerator || !this.settings.useBVH || !this.acceleratorMatchesSettings()) {
+            this.rebuildAccelerator();
+            return;
+        }
+
+        this.accelerator.update([
+            ...this.sceneStore.objects,
+            ...this.sceneStore.targets
+        ]);
+
+        if (this.accelerator.isDegraded()) {
+            console.log(`  ${this.accelerator.type} degraded, rebuilding`);
+            this.rebuildAccelerator();
+        }
+
+        this.acceleratorDirty = false;
+    }
+
+    /**
+     * Mark the acceleration structure as needing an update (objects moved, were added or were removed)
+     */
+    invalidateAccelerator() {
+        this.acceleratorDirty = true;
+    }
+
+    /**
+     * Replace the scene being traced (its objects are matched to the BVH by ID)
+     * @param {Object} sceneStore - Scene with objects, targets and focalPoints
+     */
+    setScene(sceneStore) {
+        this.sceneStore = sceneStore;
+        this.invalidateAccelerator();
     }
 
     /**
      * Trace all rays from all focal points
-     * @returns {Array} Array of ray paths for rendering
+     * Stochastic sampling is seeded from the scene seed and the batch number, so a pass is
+     * reproducible and each batch of a progressive run draws different rays.
+     * @param {number} batch - Batch index of a progressive run (0 = first pass)
+     * @returns {SegmentBuffer} Every segment traced, for rendering
      */
-    traceAll() {
-        // Rebuild BVH if needed
-        if (this.bvhDirty || !this.bvh) {
-            this.rebuildBVH();
+    traceAll(batch = 0) {
+        // Update the acceleration structure if needed
+        if (this.acceleratorDirty || !this.accelerator) {
+            this.updateAccelerator();
         }
 
-        const allSegments = []
+        this.random = new Random(Random.deriveSeed(this.settings.seed, batch));
+        this.counters.reset();
+        const start = performance.now();
+
+        // Every detector gets a reading, even if nothing reaches it
+        this.detectorReadings = new Map();
+        this.sceneStore.objects
+            .filter(object => object.type === 'Detector')
+            .forEach(detector => this.detectorReadings.set(detector.id, new DetectorReading(detector)));
+
+        // Likewise every target gets statistics
+        this.targetStatistics = new Map();
+        this.sceneStore.targets
+            .forEach(target => this.targetStatistics.set(target.id, new TargetStatistics(target)));
+
+        // Start from room for the previous pass's segments to avoid growing the buffer again
+        this.segments = new SegmentBuffer(this.segments.count);
 
         // Trace rays from each focal point
-        this.sceneStore.focalPoints.forEach(focalPoint => {
-            const segments = this.traceFocalPoint(focalPoint);
-            allSegments.push(...segments);
-        });
+        this.sceneStore.focalPoints.forEach(focalPoint => this.traceFocalPoint(focalPoint));
 
-        console.log(`Traced ${allSegments.length} primary ray segments`);
+        this.counters.time = performance.now() - start;
+        console.log(`Traced ${this.segments.count} ray segments`);
 
-        return allSegments;
+        return this.segments;
     }
 
     /**
-     * Trace rays from a single focal point
-     * @param {FocalPoint} focalPoint - The focal point to emit rays from
-     * @returns {Array} Array of ray paths
+     * Trace rays from a single light source (adding their segments to the current pass)
+     * @param {FocalPoint} focalPoint - The light source (any emitter type) to emit rays from
      */
     traceFocalPoint(focalPoint) {
-        const allSegments = [];
+        // Each direction emits one ray per wavelength, sharing the source intensity
+        const wavelengths = focalPoint.getWavelengths();
+        const intensity = focalPoint.intensity / wavelengths.length;
 
-        if (focalPoint.getEmitFromSurface()) {
-            const rayData = focalPoint.getRayOriginsAndDirections();
+        // Rays leaving the same point start in the same media, so only look them up once
+        const startingMedia = new Map();
 
-            rayData.forEach(({ origin, direction }) => {
-                // Determine starting medium for this ray based on its surface origin
-                const startingMedium = this.findContainingObject(origin);
+        const random = focalPoint.isStochastic() ? this.random : null;
 
-                const ray = new Ray(origin, direction, 1.0, 0);
-                const segments = this.traceRay(ray, focalPoint.rayLength, startingMedium);
+        this.getEmittedRays(focalPoint, random).forEach(({ origin, direction }) => {
+            // Determine which objects (if any) the ray starts inside
+            const key = `${origin.x},${origin.y}`;
+            if (!startingMedia.has(key)) {
+                startingMedia.set(key, MediumStack.fromChain(this.findContainingObject(origin)));
+            }
+            const startingMedium = startingMedia.get(key);
 
-                // Add all segments from this ray
-                allSegments.push(...segments);
+            wavelengths.forEach(wavelength => {
+                const ray = new Ray(origin, direction, intensity, 0, wavelength);
+                this.traceRay(ray, focalPoint.rayLength, startingMedium, focalPoint.id);
             });
-        } else {
-            const directions = focalPoint.getRayDirections();
-
-            // Determine if focal point is inside any object
-            const startingMedium = this.findContainingObject(focalPoint.position);
-
-            directions.forEach(direction => {
-                const ray = new Ray(focalPoint.position, direction, 1.0, 0);
-                const segments = this.traceRay(ray, focalPoint.rayLength, startingMedium);
+        });
+    }
 
-                // Add all segments from this ray
-                allSegments.push(...segments);
-            });
+    /**
+     * Get the rays a light source emits, based on its emitter type
+     * @param {FocalPoint} focalPoint - The light source
+     * @param {Random|null} random - Generator for stochastic sources (null = evenly spaced rays)
+     * @returns {Array<Object>} Array of {origin, direction}
+     */
+    getEmittedRays(focalPoint, random = null) {
+        switch (focalPoint.type) {
+            case 'BeamSource':     // Parallel rays spread across the beam width
+            case 'SpotLight':      // Rays within the cone, from the center or the surface
+            case 'LineSource':     // A fan of rays from each point along the segment
+            case 'LaserSource':    // One ray, or a tight bundle across the beam diameter
+                return focalPoint.getRayOriginsAndDirections(random);
+            default:
+                // Focal point: rays evenly over 360°, from its surface or its center
+                if (focalPoint.getEmitFromSurface()) {
+                    return focalPoint.getRayOriginsAndDirections(random);
+                }
+                return focalPoint.getRayDirections(random).map(direction => ({
+                    origin: { ...focalPoint.position },
+                    direction
+                }));
         }
-
-        return allSegments;
     }
 
     /**
      * Trace a single ray through the scene
      * @param {Ray} ray - The ray to trace
      * @param {number} maxDistance - Maximum distance to trace
-     * @param {Object|null} currentMedium - The object the ray is currently inside (null = air)
-     * @returns {Array} Array of points representing the ray path
+     * @param {MediumStack} mediumStack - The objects the ray starts inside (empty = air)
+     * @param {string|null} sourceId - ID of the light source that emitted the ray (kept on every segment)
+     * @returns {number} Index of the ray's first segment in this.segments (-1 if none was traced)
      */
-    traceRay(ray, maxDistance, currentMedium = null) {
-        const segments = [];
+    traceRay(ray, maxDistance, mediumStack = new MediumStack(), sourceId = null) {
+        const firstSegment = this.segments.count;
+        const source = this.segments.getSourceIndex(sourceId);
 
-        // Queue of rays to process: {ray, medium, distance, startPoint, segments}
+        // Queue of rays to process: {ray, medium, distance, startPoint, parent}
         const rayQueue = [{
             ray: ray,
-            medium: currentMedium,
+            medium: mediumStack,
             distance: maxDistance,
             startPoint: { ...ray.origin },
-            segments: segments,     // Reference to where we should add child segments
-            parent: null            // Reference to parent segment for target path marking
+            parent: -1              // Index of the parent segment, for target path marking
         }];
 
         while (rayQueue.length > 0) {
             const {
                 ray: currentRay,
-                medium: insideObject,
+                medium: currentStack,
                 distance: remainingDistance,
                 startPoint,
-                segments: parentSegments,
                 parent: parentSegment
             } = rayQueue.shift();
 
@@ -164,13 +287,22 @@ export default class RayTracer {
                 continue;
             }
 
-            // Check the closest intersection and/or canvas boundary distance
-            const intersection = this.findClosestIntersection(currentRay, insideObject);
-            const canvasBoundaryDist = this.getCanvasBoundaryDistance(currentRay);
+            // The medium the ray actually travels through (null = air)
+            const insideObject = currentStack.current();
 
-            console.log("Intersection", intersection);
-            console.log("canvasBoundaryDist", canvasBoundaryDist);
-            console.log(intersection.isTarget)
+            // Inside a gradient-index medium the ray bends continuously, so it is marched step by step.
+            // The resulting path reports its hit (or where it stopped) like a straight ray would.
+            const gradientPath = this.settings.curvedRays && insideObject && insideObject.material.hasGradient()
+                ? this.traceGradientPath(currentRay, insideObject, remainingDistance)
+                : null;
+
+            // Check the closest intersection and/or canvas boundary distance
+            const intersection = gradientPath
+                ? gradientPath.intersection
+                : this.findClosestIntersection(currentRay, insideObject);
+            const canvasBoundaryDist = gradientPath
+                ? gradientPath.endDistance
+                : this.getCanvasBoundaryDistance(currentRay);
 
             // Determine what we hit first by comparing all distances
             const candidates = [];
@@ -200,43 +332,42 @@ export default class RayTracer {
             candidates.sort((a, b) => a.distance - b.distance);
             const closestHit = candidates[0];
 
-            console.log("closest hit:", closestHit)
+            // Light traveling inside an object decays with distance (Beer-Lambert law)
+            const endIntensity = insideObject
+                ? currentRay.intensity * insideObject.material.getTransmittance(closestHit.distance)
+                : currentRay.intensity;
 
             // Create segment based on what we hit
-            if (closestHit.type === 'canvas') {
-                // Hit canvas boundary
-                const endPoint = currentRay.pointAt(closestHit.distance);
-                const segment = {
-                    start: startPoint,
-                    end: endPoint,
-                    intensity: currentRay.intensity,
-                    hitsTarget: false,
-                    parent: parentSegment,
-                    children: []
-                };
-                parentSegments.push(segment);
-            } else if (closestHit.type === 'target') {
+            const endPoint = closestHit.type === 'canvas'
+                ? (gradientPath
+                    ? gradientPath.points[gradientPath.points.length - 1]
+                    : currentRay.pointAt(closestHit.distance))
+                : intersection.point;
+            const segment = this.segments.add(
+                startPoint.x, startPoint.y, endPoint.x, endPoint.y,
+                currentRay.intensity,       // Intensity at segment start
+                endIntensity,
+                currentRay.wavelength,
+                currentRay.generation,
+                parentSegment,
+                source
+            );
+            if (gradientPath) {
+                this.segments.setPoints(segment, gradientPath.points);
+            }
+
+            // Reaching the canvas boundary (or a curved path running out of distance) ends the ray
+            if (closestHit.type === 'target') {
                 // Hit a target - mark path and stop
-                const segment = {
-                    start: startPoint,
-                    end: { ...intersection.point },
-                    intensity: currentRay.intensity,
-                    hitsTarget: true,
-                    parent: parentSegment,
-                    children: []
-                };
-                parentSegments.push(segment);
-                this.markPathToTarget(parentSegment);
+                this.markPathToTarget(segment);
+                this.recordTargetHit(intersection.object, segment, currentRay.generation);
             } else if (closestHit.type === 'object') {
-                const segment = {
-                    start: startPoint,
-                    end: { ...intersection.point },
-                    intensity: currentRay.intensity,
-                    hitsTarget: false,
-                    parent: parentSegment,
-                    children: []
-                };
-                parentSegments.push(segment);
+                // Detectors record the hit and absorb the ray
+                if (intersection.object.type === 'Detector') {
+                    const direction = gradientPath ? gradientPath.ray.direction : currentRay.direction;
+                    this.recordDetectorHit(intersection.object, intersection.point, direction, endIntensity);
+                    continue;
+                }
 
                 // Check if we have distance remaining for bounces
                 if (intersection.distance >= remainingDistance) {
@@ -251,53 +382,220 @@ export default class RayTracer {
                     continue;
                 }
 
+                // A curved path arrives at the surface travelling in its final direction
+                const incomingRay = gradientPath ? gradientPath.ray : currentRay;
+
+                // Surface interactions start from the attenuated intensity
+                incomingRay.intensity = endIntensity;
+
                 // Calculate next rays (both reflection and refraction)
                 const nextRays = this.calculateNextRays(
-                    currentRay,
+                    incomingRay,
                     intersection,
-                    insideObject
+                    currentStack
                 );
 
-                // Add reflection ray
+                // Rough surfaces spread each outgoing ray into a lobe of scattered rays
+                const material = intersection.object.material;
+
+                // Add reflection ray(s)
                 if (nextRays.reflected) {
-                    rayQueue.push({
-                        ray: nextRays.reflected,
-                        medium: nextRays.reflectedMedium,
-                        distance: newRemainingDistance,
-                        startPoint: { ...intersection.point },
-                        segments: segment.children,
-                        parent: segment
+                    this.scatterRay(nextRays.reflected, intersection.normal, material).forEach(reflectedRay => {
+                        rayQueue.push({
+                            ray: reflectedRay,
+                            medium: nextRays.reflectedMedium,
+                            distance: newRemainingDistance,
+                            startPoint: { ...intersection.point },
+                            parent: segment
+                        });
                     });
                 }
 
-                // Add refraction ray
+                // Add refraction ray(s)
                 if (nextRays.refracted) {
-                    rayQueue.push({
-                        ray: nextRays.refracted,
-                        medium: nextRays.refractedMedium,
-                        distance: newRemainingDistance,
-                        startPoint: { ...intersection.point },
-                        segments: segment.children,
-                        parent: segment
+                    const transmittedNormal = { x: -intersection.normal.x, y: -intersection.normal.y };
+                    const refractedRays = nextRays.passThrough
+                        ? [nextRays.refracted]
+                        : this.scatterRay(nextRays.refracted, transmittedNormal, material);
+                    refractedRays.forEach(refractedRay => {
+                        rayQueue.push({
+                            ray: refractedRay,
+                            medium: nextRays.refractedMedium,
+                            distance: newRemainingDistance,
+                            startPoint: { ...intersection.point },
+                            parent: segment
+                        });
                     });
                 }
             }
         }
 
-        return segments;
+        return this.segments.count > firstSegment ? firstSegment : -1;
     }
 
     /**
-     * Mark path of segments as hitting a target object
-     * @param {Object|null} segment - The parent segment (or null if at root)
+     * March a ray through a gradient-index medium
+     * Integrates the ray equation d/ds(n dr/ds) = ∇n with a midpoint step, testing each
+     * chord of the path against the scene so exits, other objects and targets are still hit.
+     * @param {Ray} ray - Ray starting inside the medium
+     * @param {GeometricObject} medium - The gradient-index object the ray travels through
+     * @param {number} maxDistance - Maximum path length
+     * @returns {Object} {intersection, endDistance, points, ray} where intersection has its
+     *                   distance measured along the path, endDistance is the path length if the ray
+     *                   left the canvas or ran out of distance (null on a hit), points is the
+     *                   polyline followed and ray arrives at the end point in the final direction
      */
-    markPathToTarget(segment) {
-        // Traverse up the tree, marking each parent as hitting target
-        let current = segment;
-        while (current !== null) {
-            current.hitsTarget = true;
-            current = current.parent || null;
+    traceGradientPath(ray, medium, maxDistance) {
+        const indexAt = (point) => medium.getRefractiveIndexAt(point.x, point.y, ray.wavelength);
+        const points = [{ ...ray.origin }];
+        const arriving = (point, direction) =>
+            new Ray(point, direction, ray.intensity, ray.generation, ray.wavelength);
+
+        let position = { ...ray.origin };
+        let direction = { ...ray.direction };
+        let travelled = 0;
+
+        for (let i = 0; i < this.settings.maxGradientSteps && travelled < maxDistance; i++) {
+            const stepSize = Math.min(this.settings.gradientStepSize, maxDistance - travelled);
+            const next = this.integrateGradientStep(position, direction, stepSize, indexAt);
+
+            // Straight chord between this step and the next
+            const chord = {
+                x: next.position.x - position.x,
+                y: next.position.y - position.y
+            };
+            const chordLength = Math.sqrt(chord.x * chord.x + chord.y * chord.y);
+            if (chordLength === 0) {
+                break;
+            }
+            const chordRay = arriving(position, chord);
+
+            const intersection = this.findClosestIntersection(chordRay, medium);
+            const canvasDist = this.getCanvasBoundaryDistance(chordRay);
+
+            if (intersection.hit && intersection.distance <= chordLength &&
+                (canvasDist === null || intersection.distance <= canvasDist)) {
+                points.push({ ...intersection.point });
+                return {
+                    intersection: { ...intersection, distance: travelled + intersection.distance },
+                    endDistance: null,
+                    points,
+                    ray: arriving(intersection.point, chordRay.direction)
+                };
+            }
+
+            if (canvasDist !== null && canvasDist <= chordLength) {
+                const end = chordRay.pointAt(canvasDist);
+                points.push(end);
+                return {
+                    intersection: Intersection.noHit(),
+                    endDistance: travelled + canvasDist,
+                    points,
+                    ray: arriving(end, chordRay.direction)
+                };
+            }
+
+            points.push({ ...next.position });
+            travelled += chordLength;
+            position = next.position;
+            direction = next.direction;
+        }
+
+        // Ran out of distance (or steps) inside the medium
+        return {
+            intersection: Intersection.noHit(),
+            endDistance: travelled,
+            points,
+            ray: arriving(position, direction)
+        };
+    }
+
+    /**
+     * Advance a ray one step through a gradient-index medium (midpoint method)
+     * The direction turns towards increasing index: dT/ds = (∇n - (∇n·T)T) / n
+     * @param {Object} position - Current point {x, y}
+     * @param {Object} direction - Current unit direction {x, y}
+     * @param {number} stepSize - Arc length of the step
+     * @param {Function} indexAt - Refractive index at a world point
+     * @returns {Object} {position, direction} after the step
+     */
+    integrateGradientStep(position, direction, stepSize, indexAt) {
+        const h = 0.5;  // Finite difference spacing (px)
+
+        const turn = (p, t) => {
+            const n = indexAt(p);
+            const gx = (indexAt({ x: p.x + h, y: p.y }) - indexAt({ x: p.x - h, y: p.y })) / (2 * h);
+            const gy = (indexAt({ x: p.x, y: p.y + h }) - indexAt({ x: p.x, y: p.y - h })) / (2 * h);
+            const along = gx * t.x + gy * t.y;
+            return { x: (gx - along * t.x) / n, y: (gy - along * t.y) / n };
+        };
+        const normalize = (v) => {
+            const length = Math.sqrt(v.x * v.x + v.y * v.y);
+            return length === 0 ? { ...direction } : { x: v.x / length, y: v.y / length };
+        };
+
+        // Half step to the midpoint, then a full step using the midpoint's direction and curvature
+        const k1 = turn(position, direction);
+        const midPosition = {
+            x: position.x + direction.x * stepSize / 2,
+            y: position.y + direction.y * stepSize / 2
+        };
+        const midDirection = normalize({
+            x: direction.x + k1.x * stepSize / 2,
+            y: direction.y + k1.y * stepSize / 2
+        });
+        const k2 = turn(midPosition, midDirection);
+
+        return {
+            position: {
+                x: position.x + midDirection.x * stepSize,
+                y: position.y + midDirection.y * stepSize
+            },
+            direction: normalize({
+                x: direction.x + k2.x * stepSize,
+                y: direction.y + k2.y * stepSize
+            })
+        };
+    }
+
+    /**
+     * Record a ray hitting a detector in the current pass's readings
+     * @param {Detector} detector - The detector that was hit
+     * @param {Object} point - Hit point {x, y}
+     * @param {Object} direction - Direction the ray arrived in (normalized)
+     * @param {number} intensity - Intensity the ray arrived with
+     */
+    recordDetectorHit(detector, point, direction, intensity) {
+        if (!this.detectorReadings.has(detector.id)) {
+            this.detectorReadings.set(detector.id, new DetectorReading(detector));
         }
+        this.detectorReadings.get(detector.id).record(detector, point, direction, intensity);
+    }
+
+    /**
+     * Record a ray reaching a target in the current pass's statistics
+     * @param {Target} target - The target that was hit
+     * @param {number} segment - Index of the segment ending on the target
+     * @param {number} bounces - Generation of the ray that arrived
+     */
+    recordTargetHit(target, segment, bounces) {
+        if (!this.targetStatistics.has(target.id)) {
+            this.targetStatistics.set(target.id, new TargetStatistics(target));
+        }
+        this.targetStatistics.get(target.id).record(
+            this.segments.getSourceId(segment),
+            this.segments.endIntensity[segment],
+            bounces,
+            this.segments.getPathLength(segment)
+        );
+    }
+
+    /**
+     * Mark a segment and the path leading to it as hitting a target object
+     * @param {number} segment - Index of the segment that reached the target
+     */
+    markPathToTarget(segment) {
+        this.segments.markPathToTarget(segment);
     }
 
     /**
@@ -362,19 +660,22 @@ export default class RayTracer {
     }
 
     /**
-     * Find which object (if any) contains a given point
+     * Find the chain of objects containing a given point
+     * Larger objects are assumed to enclose smaller ones, so the chain is ordered by
+     * decreasing bounding box area (outermost first)
      * @param {Object} point - {x, y}
-     * @returns {Object|null} The containing object or null if in air
+     * @returns {Array<Object>} Containing objects, outermost first (empty if in air)
      */
     findContainingObject(point) {
-        // Check objects from top to bottom (last added = on top)
-        for (let i = this.sceneStore.objects.length - 1; i >= 0; i--) {
-            const object = this.sceneStore.objects[i];
-            if (object.containsPoint(point.x, point.y)) {
-                return object;
-            }
-        }
-        return null;    // Point is in air
+        const area = (object) => {
+            const box = object.getBoundingBox();
+            return (box.maxX - box.minX) * (box.maxY - box.minY);
+        };
+
+        return this.sceneStore.objects
+            // Thin surfaces can't contain anything
+            .filter(object => object.hasInterior() && object.containsPoint(point.x, point.y))
+            .sort((a, b) => area(b) - area(a));
     }
 
     /**
@@ -387,13 +688,17 @@ export default class RayTracer {
         let closestIntersection;
         let isTarget;
 
+        this.counters.rays++;
+
         // If we're inside an object, always check for exit intersection first
-        const exitIntersection = currentMedium
-            ? GeometryMath.rayObjectIntersection(ray, currentMedium)
-            : Intersection.noHit();
+        let exitIntersection = Intersection.noHit();
+        if (currentMedium) {
+            this.counters.primitiveTests++;
+            exitIntersection = GeometryMath.rayObjectIntersection(ray, currentMedium);
+        }
 
-        const otherIntersection = this.settings.useBVH && this.bvh
-            ? this.bvh.traverse(ray, currentMedium)
+        const otherIntersection = this.settings.useBVH && this.accelerator
+            ? this.accelerator.traverse(ray, currentMedium)
             : this.findClosestIntersectionBruteForce(ray, currentMedium);
 
         if (exitIntersection.hit && otherIntersection.hit) {
@@ -437,6 +742,7 @@ export default class RayTracer {
                 return;
             }
 
+            this.counters.primitiveTests++;
             const intersection = GeometryMath.rayObjectIntersection(ray, object);
             if (intersection.hit) {
                 intersections.push(intersection);
@@ -451,12 +757,34 @@ export default class RayTracer {
      * Calculate the next rays after hitting a surface (both reflection and refraction)
      * @param {Ray} ray - Current ray
      * @param {Intersection} intersection - Intersection info
-     * @param {Object|null} currentMedium - The object the ray is currently inside (null = air)
-     * @returns {Object} Array of {reflected: Object|null, refracted: Object|null, reflectedMedium: Object|null, refractedMedium: Object|null}
+     * @param {MediumStack} mediumStack - The objects the ray is currently inside
+     * @returns {Object} {reflected, refracted, reflectedMedium, refractedMedium, passThrough}
+     *                   where the media are the MediumStacks each outgoing ray travels in
      */
-    calculateNextRays(ray, intersection, currentMedium) {
-        const material = intersection.object.material;
-        const reflectivity = material.reflectivity;
+    calculateNextRays(ray, intersection, mediumStack) {
+        const object = intersection.object;
+
+        // Thin surfaces have no interior, so the ray never changes medium
+        if (!object.hasInterior()) {
+            return this.calculateThinSurfaceRays(ray, intersection, mediumStack);
+        }
+
+        // Crossing the surface either enters or exits the object
+        const nextStack = mediumStack.cross(object);
+
+        // Inside a higher priority medium this surface isn't a real interface,
+        // so the ray passes straight through unchanged (without using up a bounce)
+        if (nextStack.current() === mediumStack.current()) {
+            return {
+                reflected: null,
+                refracted: new Ray(intersection.point, ray.direction, ray.intensity, ray.generation, ray.wavelength),
+                reflectedMedium: mediumStack,
+                refractedMedium: nextStack,
+                passThrough: true
+            };
+        }
+
+        const material = object.material;
         const absorptance = material.absorptance;
 
         if (absorptance > 0.999) {
@@ -469,9 +797,13 @@ export default class RayTracer {
             };
         }
 
-        // Determine refractive indices
-        const n1 = currentMedium ? currentMedium.material.refractiveIndex : this.settings.airRefractiveIndex;
-        const n2 = currentMedium ? this.settings.airRefractiveIndex : material.refractiveIndex;
+        // Refractive indices of the media on either side at the hit point
+        // (dispersive materials depend on the ray's wavelength, gradient-index ones on the point)
+        const n1 = mediumStack.getRefractiveIndex(ray.wavelength, this.settings.airRefractiveIndex, intersection.point);
+        const n2 = nextStack.getRefractiveIndex(ray.wavelength, this.settings.airRefractiveIndex, intersection.point);
+
+        // Determine how much of the light is reflected at this angle of incidence
+        const reflectivity = this.calculateReflectance(ray, intersection, material, n1, n2);
 
         // Calculate reflection
         const reflectedDir = LightCalculator.reflect(ray.direction, intersection.normal);
@@ -479,9 +811,6 @@ export default class RayTracer {
         // Calculate refraction
         const refractedDir = LightCalculator.refract(ray.direction, intersection.normal, n1, n2);
 
-        // Determine which medium we're entering/exiting
-        const newMedium = currentMedium ? null : intersection.object;
-
         if (refractedDir) {
             // Both reflection and refraction possible
             const reflectedRay = ray.spawn(intersection.point, reflectedDir, (1 - absorptance) * reflectivity);
@@ -490,8 +819,8 @@ export default class RayTracer {
             return {
                 reflected: reflectedRay,
                 refracted: refractedRay,
-                reflectedMedium: currentMedium,
-                refractedMedium: newMedium
+                reflectedMedium: mediumStack,
+                refractedMedium: nextStack
             };
         } else {
             // Total internal reflection
@@ -499,9 +828,106 @@ export default class RayTracer {
             return {
                 reflected: reflectedRay,
                 refracted: null,
-                reflectedMedium: currentMedium,
+                reflectedMedium: mediumStack,
                 refractedMedium: null
             };
         }
     }
+
+    /**
+     * Calculate the next rays after hitting a thin surface (mirror, beam splitter or blocker)
+     * Both outgoing rays stay in the medium the incoming ray was travelling through
+     * @param {Ray} ray - Current ray
+     * @param {Intersection} intersection - Intersection info
+     * @param {MediumStack} mediumStack - The objects the ray is currently inside
+     * @returns {Object} {reflected, refracted, reflectedMedium, refractedMedium}
+     */
+    calculateThinSurfaceRays(ray, intersection, mediumStack) {
+        const object = intersection.object;
+        const transmitted = 1 - object.material.absorptance;
+
+        let reflectivity;
+        switch (object.mode) {
+            case 'blocker':
+                reflectivity = 0;
+                break;
+            case 'splitter':
+                reflectivity = object.material.reflectivity;
+                break;
+            default:
+                reflectivity = 1;
+        }
+
+        const reflected = reflectivity > 0
+            ? ray.spawn(intersection.point, LightCalculator.reflect(ray.direction, intersection.normal), transmitted * reflectivity)
+            : null;
+
+        // Beam splitters pass the remaining light straight through, undeviated
+        const refracted = object.mode === 'splitter' && reflectivity < 1
+            ? ray.spawn(intersection.point, { ...ray.direction }, transmitted * (1 - reflectivity))
+            : null;
+
+        return {
+            reflected,
+            refracted,
+            reflectedMedium: mediumStack,
+            refractedMedium: mediumStack
+        };
+    }
+
+    /**
+     * Calculate the fraction of light reflected at a surface hit
+     * @param {Ray} ray - Current ray
+     * @param {Intersection} intersection - Intersection info
+     * @param {Material} material - Material of the object that was hit
+     * @param {number} n1 - Refractive index of original medium
+     * @param {number} n2 - Refractive index of destination medium
+     * @returns {number} Reflectance (0-1)
+     */
+    calculateReflectance(ray, intersection, material, n1, n2) {
+        // Cosine of the angle between the incoming ray and the surface normal
+        const cosTheta = -LightCalculator.dot(ray.direction, intersection.normal);
+
+        switch (material.reflectanceModel) {
+            case 'schlick':
+                return LightCalculator.fresnelReflectance(cosTheta, n1, n2);
+            case 'fresnel':
+                return LightCalculator.fresnelReflectanceExact(cosTheta, n1, n2);
+            default:
+                return material.reflectivity;
+        }
+    }
+
+    /**
+     * Scatter an outgoing ray according to the surface type of a material
+     * Specular surfaces return the ray unchanged. Diffuse surfaces scatter around the
+     * surface normal, glossy surfaces around the ray's specular direction.
+     * @param {Ray} ray - Specular outgoing ray (reflected or refracted)
+     * @param {Object} surfaceNormal - Normal on the side the ray leaves from
+     * @param {Material} material - Material of the surface that was hit
+     * @returns {Array<Ray>} Scattered rays sharing the outgoing ray's intensity
+     */
+    scatterRay(ray, surfaceNormal, material) {
+        if (!material.isScattering()) {
+            return [ray];
+        }
+
+        const axis = material.surfaceType === 'diffuse' ? surfaceNormal : ray.direction;
+        const scattered = LightCalculator.scatter(
+            axis,
+            surfaceNormal,
+            material.getScatterExponent(),
+            material.scatterRayCount,
+            material.scatterSampling === 'stochastic',
+            this.random.toFunction()
+        );
+
+        return scattered.map(({ direction, weight }) => new Ray(
+            ray.origin,
+            direction,
+            ray.intensity * weight,
+            ray.generation,
+            ray.wavelength
+        ));
+    }
 }
\ No newline at end of file
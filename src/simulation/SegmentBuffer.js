@@ -0,0 +1,233 @@
+/**
+ * file: src/simulation/SegmentBuffer.js
+ * desc: Compact, typed-array storage for the ray segments produced by the ray tracer.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * SegmentBuffer - Every traced segment of a pass, stored as parallel typed arrays
+ *
+ * Segment i goes from (startX[i], startY[i]) to (endX[i], endY[i]). Instead of nested objects
+ * with parent/children references, each segment stores the index of the segment whose ray
+ * spawned it (-1 for a ray leaving a light source), which is all target path marking needs.
+ * Segments are appended in the order they are traced, so a parent always comes before its
+ * children. Curved paths (through gradient-index media) keep their polyline in a shared
+ * points array.
+ */
+export default class SegmentBuffer {
+    // Bits of the flags array
+    static HITS_TARGET = 1;     // The segment is on a path that reaches a target
+
+    // Per-segment arrays and their types
+    static FIELDS = {
+        startX: Float32Array,
+        startY: Float32Array,
+        endX: Float32Array,
+        endY: Float32Array,
+        intensity: Float32Array,        // Intensity at the start
+        endIntensity: Float32Array,     // Intensity at the end (lower after absorption in a medium)
+        wavelength: Float32Array,       // nm, NaN for white light
+        generation: Uint16Array,        // Bounces before this segment
+        flags: Uint8Array,
+        parent: Int32Array,             // Index of the parent segment, -1 for none
+        source: Uint16Array,            // Index into sources (the emitting light source)
+        pointOffset: Int32Array,        // First point of a curved path in points, -1 if straight
+        pointCount: Uint32Array         // Number of points of a curved path
+    };
+
+    /**
+     * @param {number} capacity - Segments to allocate room for (grows as needed)
+     */
+    constructor(capacity = 1024) {
+        this.count = 0;
+        this.capacity = Math.max(1, capacity);
+        Object.entries(SegmentBuffer.FIELDS).forEach(([field, Type]) => {
+            this[field] = new Type(this.capacity);
+        });
+
+        // Curved path points as x, y pairs
+        this.points = new Float32Array(256);
+        this.pointLength = 0;
+
+        // Light source IDs, referenced by index from the source array
+        this.sources = [];
+        this.sourceIndices = new Map();
+    }
+
+    /**
+     * Add a straight segment
+     * @returns {number} Index of the new segment
+     */
+    add(startX, startY, endX, endY, intensity, endIntensity, wavelength, generation, parent, source) {
+        if (this.count === this.capacity) {
+            this.grow();
+        }
+
+        const i = this.count++;
+        this.startX[i] = startX;
+        this.startY[i] = startY;
+        this.endX[i] = endX;
+        this.endY[i] = endY;
+        this.intensity[i] = intensity;
+        this.endIntensity[i] = endIntensity;
+        this.wavelength[i] = wavelength ?? NaN;
+        this.generation[i] = generation;
+        this.flags[i] = 0;
+        this.parent[i] = parent;
+        this.source[i] = source;
+        this.pointOffset[i] = -1;
+        this.pointCount[i] = 0;
+        return i;
+    }
+
+    /**
+     * Store the polyline a curved segment follows
+     * @param {number} index - Segment index
+     * @param {Array<Object>} points - Points {x, y} from the segment's start to its end
+     */
+    setPoints(index, points) {
+        const needed = this.pointLength + points.length * 2;
+        if (needed > this.points.length) {
+            const grown = new Float32Array(Math.max(needed, this.points.length * 2));
+            grown.set(this.points.subarray(0, this.pointLength));
+            this.points = grown;
+        }
+
+        this.pointOffset[index] = this.pointLength / 2;
+        this.pointCount[index] = points.length;
+        points.forEach(point => {
+            this.points[this.pointLength++] = point.x;
+            this.points[this.pointLength++] = point.y;
+        });
+    }
+
+    /**
+     * Double the room for segments
+     */
+    grow() {
+        this.capacity *= 2;
+        Object.entries(SegmentBuffer.FIELDS).forEach(([field, Type]) => {
+            const grown = new Type(this.capacity);
+            grown.set(this[field]);
+            this[field] = grown;
+        });
+    }
+
+    /**
+     * Get the index used for a light source (registering it on first use)
+     * @param {string|null} sourceId - ID of the light source
+     */
+    getSourceIndex(sourceId) {
+        if (!this.sourceIndices.has(sourceId)) {
+            this.sourceIndices.set(sourceId, this.sources.length);
+            this.sources.push(sourceId);
+        }
+        return this.sourceIndices.get(sourceId);
+    }
+
+    /**
+     * Get the ID of the light source that emitted a segment's ray
+     */
+    getSourceId(index) {
+        return this.sources[this.source[index]];
+    }
+
+    /**
+     * Check if a segment is on a path that reaches a target
+     */
+    hitsTarget(index) {
+        return (this.flags[index] & SegmentBuffer.HITS_TARGET) !== 0;
+    }
+
+    /**
+     * Check if a segment follows a curved path
+     */
+    isCurved(index) {
+        return this.pointOffset[index] !== -1;
+    }
+
+    /**
+     * Mark a segment and every segment leading to it as reaching a target
+     * @param {number} index - Segment index (-1 does nothing)
+     */
+    markPathToTarget(index) {
+        let current = index;
+        // A marked segment's ancestors are already marked, so stop there
+        while (current !== -1 && !this.hitsTarget(current)) {
+            this.flags[current] |= SegmentBuffer.HITS_TARGET;
+            current = this.parent[current];
+        }
+    }
+
+    /**
+     * Length of one segment (along its polyline if curved)
+     */
+    getLength(index) {
+        if (!this.isCurved(index)) {
+            return Math.hypot(this.endX[index] - this.startX[index], this.endY[index] - this.startY[index]);
+        }
+
+        let length = 0;
+        const first = this.pointOffset[index] * 2;
+        const last = first + (this.pointCount[index] - 1) * 2;
+        for (let p = first; p < last; p += 2) {
+            length += Math.hypot(this.points[p + 2] - this.points[p], this.points[p + 3] - this.points[p + 1]);
+        }
+        return length;
+    }
+
+    /**
+     * Distance travelled from the light source to the end of a segment
+     */
+    getPathLength(index) {
+        let length = 0;
+        for (let current = index; current !== -1; current = this.parent[current]) {
+            length += this.getLength(current);
+        }
+        return length;
+    }
+
+    /**
+     * Serialize to plain object, with arrays trimmed to the segments in use
+     * The arrays are copies, so they can be transferred to another thread (see getTransferables)
+     */
+    toJSON() {
+        const json = {
+            count: this.count,
+            points: this.points.slice(0, this.pointLength),
+            sources: [...this.sources]
+        };
+        Object.keys(SegmentBuffer.FIELDS).forEach(field => {
+            json[field] = this[field].slice(0, this.count);
+        });
+        return json;
+    }
+
+    /**
+     * Get the array buffers of a serialized SegmentBuffer, for postMessage's transfer list
+     * @param {Object} json - Output of toJSON()
+     * @returns {Array<ArrayBuffer>}
+     */
+    static getTransferables(json) {
+        return Object.values(json)
+            .filter(value => ArrayBuffer.isView(value))
+            .map(array => array.buffer);
+    }
+
+    /**
+     * Create SegmentBuffer from JSON
+     */
+    static fromJSON(json) {
+        const buffer = new SegmentBuffer(1);
+        buffer.count = json.count;
+        buffer.capacity = Math.max(1, json.count);
+        Object.keys(SegmentBuffer.FIELDS).forEach(field => {
+            buffer[field] = json.count > 0 ? json[field] : buffer[field];
+        });
+        buffer.points = json.points;
+        buffer.pointLength = json.points.length;
+        json.sources.forEach(sourceId => buffer.getSourceIndex(sourceId));
+        return buffer;
+    }
+}
\ No newline at end of file
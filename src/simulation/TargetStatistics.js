@@ -0,0 +1,129 @@
+/**
+ * file: src/simulation/TargetStatistics.js
+ * desc: Accumulates the light arriving at a target during ray tracing.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * TargetStatistics - Hits, intensity, bounces and path lengths of the rays reaching one target
+ * Like DetectorReading, statistics are kept apart from the Target so tracing never modifies the
+ * scene. Progressive runs merge the statistics of every batch; intensities are averaged over
+ * batches, while counts, bounces and path lengths cover every recorded hit.
+ */
+export default class TargetStatistics {
+    /**
+     * @param {Target} target - The target being measured
+     */
+    constructor(target) {
+        this.targetId = target.id;
+
+        this.hits = 0;
+        this.totalIntensity = 0;
+        this.maxIntensity = 0;
+        this.totalBounces = 0;
+        this.maxBounces = 0;
+        this.totalPathLength = 0;
+        this.minPathLength = Infinity;
+        this.maxPathLength = 0;
+
+        // Hits and intensity per light source ID
+        this.sources = {};
+
+        this.batches = 1;
+    }
+
+    /**
+     * Record a ray reaching the target
+     * @param {string|null} sourceId - ID of the light source that emitted the ray
+     * @param {number} intensity - Intensity the ray arrived with
+     * @param {number} bounces - Surface interactions along the way
+     * @param {number} pathLength - Distance travelled from the source (px)
+     */
+    record(sourceId, intensity, bounces, pathLength) {
+        this.hits++;
+        this.totalIntensity += intensity;
+        this.maxIntensity = Math.max(this.maxIntensity, intensity);
+        this.totalBounces += bounces;
+        this.maxBounces = Math.max(this.maxBounces, bounces);
+        this.totalPathLength += pathLength;
+        this.minPathLength = Math.min(this.minPathLength, pathLength);
+        this.maxPathLength = Math.max(this.maxPathLength, pathLength);
+
+        const source = this.sources[sourceId] ??= { hits: 0, intensity: 0 };
+        source.hits++;
+        source.intensity += intensity;
+    }
+
+    /**
+     * Check if other statistics are for the same target (so they can be merged into these)
+     */
+    isCompatible(other) {
+        return other.targetId === this.targetId;
+    }
+
+    /**
+     * Add another batch's statistics into these
+     */
+    merge(other) {
+        this.hits += other.hits;
+        this.totalIntensity += other.totalIntensity;
+        this.maxIntensity = Math.max(this.maxIntensity, other.maxIntensity);
+        this.totalBounces += other.totalBounces;
+        this.maxBounces = Math.max(this.maxBounces, other.maxBounces);
+        this.totalPathLength += other.totalPathLength;
+        this.minPathLength = Math.min(this.minPathLength, other.minPathLength);
+        this.maxPathLength = Math.max(this.maxPathLength, other.maxPathLength);
+
+        Object.entries(other.sources).forEach(([sourceId, counts]) => {
+            const source = this.sources[sourceId] ??= { hits: 0, intensity: 0 };
+            source.hits += counts.hits;
+            source.intensity += counts.intensity;
+        });
+
+        this.batches += other.batches;
+    }
+
+    /**
+     * Intensity arriving per pass (averaged over batches)
+     */
+    getIntensity() {
+        return this.totalIntensity / this.batches;
+    }
+
+    /**
+     * Average number of bounces of the rays that arrived (0 if none did)
+     */
+    getAverageBounces() {
+        return this.hits > 0 ? this.totalBounces / this.hits : 0;
+    }
+
+    /**
+     * Average path length of the rays that arrived (0 if none did)
+     */
+    getAveragePathLength() {
+        return this.hits > 0 ? this.totalPathLength / this.hits : 0;
+    }
+
+    /**
+     * Hits and per-pass intensity from each light source, brightest first
+     * @returns {Array<Object>} [{ sourceId, hits, intensity }]
+     */
+    getSourceBreakdown() {
+        return Object.entries(this.sources)
+            .map(([sourceId, counts]) => ({
+                sourceId,
+                hits: counts.hits,
+                intensity: counts.intensity / this.batches
+            }))
+            .sort((a, b) => b.intensity - a.intensity);
+    }
+
+    /**
+     * Restore statistics posted back by the trace worker
+     * Structured cloning keeps the data (typed arrays included) but drops the class
+     */
+    static fromJSON(json) {
+        return Object.assign(Object.create(TargetStatistics.prototype), json);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * file: src/simulation/TraceWorker.js
+ * desc: Web Worker that traces rays off the main thread.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import RayTracer from './RayTracer.js';
+import ObjectFactory from '@/geometry/ObjectFactory.js';
+import Target from '@/geometry/Target.js';
+import SegmentBuffer from './SegmentBuffer.js';
+
+/**
+ * Messages in (from TraceWorkerClient):
+ *   { requestId, sceneVersion, batch, scene, settings }
+ *   scene and settings are only sent when the scene changed; later batches of a progressive run
+ *   reuse the tracer (and its BVH) of that scene. The tracer is kept between scenes, so the
+ *   BVH is refit to the new objects rather than rebuilt.
+ *
+ * Messages out:
+ *   { requestId, sceneVersion, batch, segments, detectorReadings, targetStatistics, acceleratorStats, counters }
+ *   or { requestId, sceneVersion, batch, error } if tracing failed
+ *   segments is a serialized SegmentBuffer (see SegmentBuffer.toJSON)
+ */
+
+// Tracer for the last scene received, and the version it belongs to
+let rayTracer = null;
+let tracerVersion = null;
+
+/**
+ * Rebuild scene objects from their JSON (the same format SceneIOPanel saves)
+ * @param {Object} json - Output of sceneStore.exportScene()
+ * @returns {Object} Scene in the shape RayTracer expects ({ objects, targets, focalPoints })
+ */
+function buildScene(json) {
+    return {
+        objects: (json.objects ?? []).map(data => ObjectFactory.fromJSON(data)).filter(Boolean),
+        targets: (json.targets ?? []).map(data => Target.fromJSON(data)),
+        focalPoints: (json.focalPoints ?? []).map(data => ObjectFactory.fromJSON(data)).filter(Boolean)
+    };
+}
+
+self.onmessage = (event) => {
+    const { requestId, sceneVersion, batch, scene, settings } = event.data;
+
+    try {
+        if (scene && !rayTracer) {
+            // The first tracer builds its BVH on the first pass
+            rayTracer = new RayTracer(buildScene(scene), settings);
+            tracerVersion = sceneVersion;
+        } else if (scene) {
+            // Later scenes update the existing BVH (refitting moved objects) instead of rebuilding it
+            rayTracer.setScene(buildScene(scene));
+            Object.assign(rayTracer.settings, settings);
+            tracerVersion = sceneVersion;
+        } else if (!rayTracer || tracerVersion !== sceneVersion) {
+            throw new Error(`No scene loaded for version ${sceneVersion}`);
+        }
+
+        // The segment arrays are transferred rather than copied
+        const segments = rayTracer.traceAll(batch).toJSON();
+
+        self.postMessage({
+            requestId,
+            sceneVersion,
+            batch,
+            segments,
+            detectorReadings: Array.from(rayTracer.detectorReadings.values()),
+            targetStatistics: Array.from(rayTracer.targetStatistics.values()),
+            acceleratorStats: rayTracer.accelerator?.getStats() ?? null,
+            counters: rayTracer.counters.toJSON()
+        }, SegmentBuffer.getTransferables(segments));
+    } catch (error) {
+        self.postMessage({ requestId, sceneVersion, batch, error: error.message });
+    }
+};
\ No newline at end of file
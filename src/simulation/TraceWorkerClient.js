@@ -0,0 +1,159 @@
+/**
+ * file: src/simulation/TraceWorkerClient.js
+ * desc: Sends tracing requests to the trace worker and filters out stale results.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+import DetectorReading from './DetectorReading.js';
+import TargetStatistics from './TargetStatistics.js';
+import SegmentBuffer from './SegmentBuffer.js';
+
+/**
+ * TraceWorkerClient - Main thread side of background ray tracing
+ *
+ * Every new scene gets a version number. The worker handles one request at a time; while it is
+ * busy only the newest request is kept waiting (older waiting ones are dropped), and results for
+ * anything but the current scene version are discarded, so a fast drag only ever traces the
+ * latest scene and never draws an outdated one.
+ */
+export default class TraceWorkerClient {
+    /**
+     * @param {Function} onResult - Called with { batch, segments, detectorReadings, targetStatistics, acceleratorStats, counters }
+     * @param {Function} onBusyChange - Called with true/false when the worker starts/stops tracing
+     */
+    constructor(onResult, onBusyChange = () => {}) {
+        this.onResult = onResult;
+        this.onBusyChange = onBusyChange;
+
+        this.worker = new Worker(new URL('./TraceWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('Trace worker error:', event.message);
+            this.finishRequest();
+        };
+
+        this.sceneVersion = 0;
+        this.nextRequestId = 0;
+        this.busy = false;
+        this.pending = null;        // Newest request waiting for the worker
+    }
+
+    /**
+     * Check if the browser can run module workers
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Trace the first batch of a new scene (makes every earlier request stale)
+     * @param {Object} scene - Output of sceneStore.exportScene()
+     * @param {Object} settings - RayTracer settings
+     */
+    traceScene(scene, settings) {
+        this.sceneVersion++;
+        this.send({ batch: 0, scene, settings });
+    }
+
+    /**
+     * Trace a further batch of the current scene
+     * @param {number} batch - Batch index
+     */
+    traceBatch(batch) {
+        // A waiting new scene must not be replaced by a batch that depends on it
+        if (this.pending?.scene) return;
+        this.send({ batch, scene: null, settings: null });
+    }
+
+    /**
+     * Discard every result still to come (e.g. when rays are hidden)
+     */
+    cancel() {
+        this.sceneVersion++;
+        this.pending = null;
+    }
+
+    /**
+     * Post a request, or keep it waiting if the worker is busy
+     */
+    send(request) {
+        const message = {
+            ...request,
+            requestId: ++this.nextRequestId,
+            sceneVersion: this.sceneVersion
+        };
+
+        if (this.busy) {
+            this.pending = message;
+            return;
+        }
+
+        this.post(message);
+    }
+
+    /**
+     * Hand a request to the worker
+     */
+    post(message) {
+        if (!this.busy) {
+            this.busy = true;
+            this.onBusyChange(true);
+        }
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * Handle a result posted back by the worker
+     */
+    handleMessage(data) {
+        const current = data.sceneVersion === this.sceneVersion;
+        this.finishRequest();
+
+        if (!current) {
+            return;     // Stale: a newer scene was requested meanwhile
+        }
+        if (data.error) {
+            console.error('Background ray tracing failed:', data.error);
+            return;
+        }
+
+        this.onResult({
+            batch: data.batch,
+            segments: SegmentBuffer.fromJSON(data.segments),
+            detectorReadings: new Map(data.detectorReadings.map(reading =>
+                [reading.detectorId, DetectorReading.fromJSON(reading)]
+            )),
+            targetStatistics: new Map(data.targetStatistics.map(statistics =>
+                [statistics.targetId, TargetStatistics.fromJSON(statistics)]
+            )),
+            acceleratorStats: data.acceleratorStats,
+            counters: data.counters
+        });
+    }
+
+    /**
+     * The worker is free: start the waiting request, if any
+     */
+    finishRequest() {
+        const next = this.pending;
+        this.pending = null;
+
+        if (next && next.sceneVersion === this.sceneVersion) {
+            this.worker.postMessage(next);
+            return;
+        }
+
+        this.busy = false;
+        this.onBusyChange(false);
+    }
+
+    /**
+     * Stop the worker
+     */
+    destroy() {
+        this.worker.terminate();
+        this.pending = null;
+        this.busy = false;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * file: src/simulation/TraversalCounters.js
+ * desc: Counts the work done finding ray intersections during a tracing pass.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * TraversalCounters - Ray casts, bounding box tests, object tests and time of a tracing pass
+ * Filled in by RayTracer (rays, time), BVH traversal and BVHNode.intersectsAABB (box tests),
+ * and by both BVH leaves and the brute-force search (object tests), so the two can be compared.
+ */
+export default class TraversalCounters {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Zero every counter (at the start of a pass)
+     */
+    reset() {
+        this.rays = 0;              // Closest-hit queries (one per straight segment traced)
+        this.aabbTests = 0;         // Ray vs. bounding box tests
+        this.primitiveTests = 0;    // Ray vs. object intersection tests
+        this.time = 0;              // ms spent tracing
+    }
+
+    /**
+     * Add another pass's counts into these
+     */
+    add(other) {
+        this.rays += other.rays;
+        this.aabbTests += other.aabbTests;
+        this.primitiveTests += other.primitiveTests;
+        this.time += other.time;
+    }
+
+    /**
+     * Serialize to plain object
+     */
+    toJSON() {
+        return {
+            rays: this.rays,
+            aabbTests: this.aabbTests,
+            primitiveTests: this.primitiveTests,
+            time: this.time
+        };
+    }
+
+    /**
+     * Create TraversalCounters from JSON
+     */
+    static fromJSON(json) {
+        return Object.assign(new TraversalCounters(), json);
+    }
+}
\ No newline at end of file
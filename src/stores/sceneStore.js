@@ -6,14 +6,14 @@
  */
 
 import { defineStore } from 'pinia';
-import Rectangle from '@/geometry/Rectangle.js';
-import Square from '@/geometry/Square.js';
-import Ellipse from '@/geometry/Ellipse.js';
+import Polygon from '@/geometry/Polygon.js';
 import Circle from '@/geometry/Circle.js';
-import Triangle from '@/geometry/Triangle.js';
-import EquilateralTriangle from '@/geometry/EquilateralTriangle.js';
+import Rectangle from '@/geometry/Rectangle.js';
+import Mirror from '@/geometry/Mirror.js';
+import ObjectFactory from '@/geometry/ObjectFactory.js';
 import FocalPoint from '@/geometry/FocalPoint.js';
 import Target from '@/geometry/Target.js';
+import Random from '@/utils/Random.js';
 
 /**
  * Scene store manages all geometric objects in the scene
@@ -30,7 +30,13 @@ export const useSceneStore = defineStore('scene', {
         focalPoints: [],
 
         // Target objects for ray tracing
-        targets: []
+        targets: [],
+
+        // World-space points of a polygon being drawn on the canvas (null = not drawing)
+        polygonDraft: null,
+
+        // Seed for stochastic (Monte Carlo) sampling, saved with the scene so results are reproducible
+        seed: 1
     }),
 
     getters: {
@@ -75,7 +81,10 @@ export const useSceneStore = defineStore('scene', {
         objectCount: (state) => state.objects.length,
 
         // Check if an object is selected
-        hasSelection: (state) => state.selectedObjectId !== null
+        hasSelection: (state) => state.selectedObjectId !== null,
+
+        // Check if a polygon is being drawn
+        isDrawingPolygon: (state) => state.polygonDraft !== null
     },
 
     actions: {
@@ -90,11 +99,11 @@ export const useSceneStore = defineStore('scene', {
                 return
             }
 
-            // Special handling for FocalPoint - add to focalPoints array
-            if (object.type === 'FocalPoint') {
+            // Special handling for light sources - add to focalPoints array
+            if (FocalPoint.isEmitter(object)) {
                 // Check for duplicate IDs in focal points
                 if (this.focalPoints.find(fp => fp.id === object.id)) {
-                    console.warn(`FocalPoint with id ${object.id} already exists`);
+                    console.warn(`${object.type} with id ${object.id} already exists`);
                     return;
                 }
 
@@ -103,7 +112,7 @@ export const useSceneStore = defineStore('scene', {
                 if (select) {
                     this.selectedObjectId = object.id;
                 }
-                console.log(`Added FocalPoint with id ${object.id}`);
+                console.log(`Added ${object.type} with id ${object.id}`);
                 return;
             }
 
@@ -260,6 +269,11 @@ export const useSceneStore = defineStore('scene', {
                 object.setRotation(updates.rotation);
             }
 
+            // Move an editing handle (polygon vertex, curved mirror focus/aperture, ...)
+            if (updates.handle !== undefined && typeof object.moveHandle === 'function') {
+                object.moveHandle(updates.handle.index, updates.handle.x, updates.handle.y);
+            }
+
             // Update colors
             if (updates.edgeColor) {
                 object.setEdgeColor(updates.edgeColor);
@@ -278,6 +292,48 @@ export const useSceneStore = defineStore('scene', {
             if (updates.absorptance !== undefined) {
                 object.material.setAbsorptance(updates.absorptance);
             }
+            if (updates.attenuationCoefficient !== undefined) {
+                object.material.setAttenuationCoefficient(updates.attenuationCoefficient);
+            }
+            if (updates.mediumPriority !== undefined) {
+                object.material.setMediumPriority(updates.mediumPriority);
+            }
+            if (updates.reflectanceModel !== undefined) {
+                object.material.setReflectanceModel(updates.reflectanceModel);
+            }
+            if (updates.surfaceType !== undefined) {
+                object.material.setSurfaceType(updates.surfaceType);
+            }
+            if (updates.roughness !== undefined) {
+                object.material.setRoughness(updates.roughness);
+            }
+            if (updates.scatterRayCount !== undefined) {
+                object.material.setScatterRayCount(updates.scatterRayCount);
+            }
+            if (updates.scatterSampling !== undefined) {
+                object.material.setScatterSampling(updates.scatterSampling);
+            }
+            if (updates.dispersionModel !== undefined) {
+                object.material.setDispersionModel(updates.dispersionModel);
+            }
+            if (updates.cauchyCoefficients !== undefined) {
+                object.material.setCauchyCoefficients(updates.cauchyCoefficients);
+            }
+            if (updates.sellmeierCoefficients !== undefined) {
+                object.material.setSellmeierCoefficients(updates.sellmeierCoefficients);
+            }
+            if (updates.gradientModel !== undefined) {
+                object.material.setGradientModel(updates.gradientModel);
+            }
+            if (updates.gradientStrength !== undefined) {
+                object.material.setGradientStrength(updates.gradientStrength);
+            }
+            if (updates.gradientScale !== undefined) {
+                object.material.setGradientScale(updates.gradientScale);
+            }
+            if (updates.gradientExpression !== undefined) {
+                object.material.setGradientExpression(updates.gradientExpression);
+            }
 
             // Update shape-specific properties
             if (object.type === 'Rectangle' || object.type === 'Square') {
@@ -316,7 +372,81 @@ export const useSceneStore = defineStore('scene', {
                         object.setSide3(updates.side3);
                     }
                 }
-            } else if (object.type === 'FocalPoint') {
+            } else if (object.type === 'Lens') {
+                if (updates.r1 !== undefined) {
+                    object.setR1(updates.r1);
+                }
+                if (updates.r2 !== undefined) {
+                    object.setR2(updates.r2);
+                }
+                if (updates.thickness !== undefined) {
+                    object.setThickness(updates.thickness);
+                }
+                if (updates.aperture !== undefined) {
+                    object.setAperture(updates.aperture);
+                }
+            } else if (object.type === 'Polygon') {
+                if (updates.vertices !== undefined) {
+                    object.setLocalVertices(updates.vertices);
+                }
+            } else if (object.type === 'Composite') {
+                if (updates.operation !== undefined) {
+                    object.setOperation(updates.operation);
+                }
+                if (updates.child !== undefined) {
+                    object.moveChild(updates.child.index, updates.child.x, updates.child.y);
+                }
+                if (updates.removeChild !== undefined) {
+                    object.removeChild(updates.removeChild);
+                }
+            } else if (object.type === 'BezierShape') {
+                if (updates.points !== undefined) {
+                    object.setLocalPoints(updates.points);
+                }
+                if (updates.splitSegment !== undefined) {
+                    object.splitSegment(updates.splitSegment);
+                }
+                if (updates.removeAnchor !== undefined) {
+                    object.removeAnchor(updates.removeAnchor);
+                }
+            } else if (object.type === 'Mirror' || object.type === 'CurvedMirror') {
+                if (updates.length !== undefined) {
+                    object.setLength(updates.length);
+                }
+                if (updates.mode !== undefined) {
+                    object.setMode(updates.mode);
+                }
+                if (object.type === 'CurvedMirror') {
+                    if (updates.curve !== undefined) {
+                        object.setCurve(updates.curve);
+                    }
+                    if (updates.focalLength !== undefined) {
+                        object.setFocalLength(updates.focalLength);
+                    }
+                    if (updates.eccentricity !== undefined) {
+                        object.setEccentricity(updates.eccentricity);
+                    }
+                    if (updates.showFocus !== undefined) {
+                        object.setShowFocus(updates.showFocus);
+                    }
+                }
+            } else if (object.type === 'Detector') {
+                if (updates.shape !== undefined) {
+                    object.setShape(updates.shape);
+                }
+                if (updates.length !== undefined) {
+                    object.setLength(updates.length);
+                }
+                if (updates.arcRadius !== undefined) {
+                    object.setArcRadius(updates.arcRadius);
+                }
+                if (updates.binCount !== undefined) {
+                    object.setBinCount(updates.binCount);
+                }
+                if (updates.angleBinCount !== undefined) {
+                    object.setAngleBinCount(updates.angleBinCount);
+                }
+            } else if (FocalPoint.isEmitter(object)) {
                 if (updates.rayCount !== undefined) {
                     object.setRayCount(updates.rayCount);
                 }
@@ -329,6 +459,43 @@ export const useSceneStore = defineStore('scene', {
                 if (updates.emitFromSurface !== undefined) {
                     object.setEmitFromSurface(updates.emitFromSurface);
                 }
+                if (updates.spectralSamples !== undefined) {
+                    object.setSpectralSamples(updates.spectralSamples);
+                }
+                if (updates.rayColor !== undefined) {
+                    object.setRayColor(updates.rayColor);
+                }
+                if (updates.intensity !== undefined) {
+                    object.setIntensity(updates.intensity);
+                }
+                if (updates.sampling !== undefined) {
+                    object.setSampling(updates.sampling);
+                }
+
+                // Emitter-specific properties
+                if (object.type === 'BeamSource' && updates.beamWidth !== undefined) {
+                    object.setBeamWidth(updates.beamWidth);
+                }
+                if (object.type === 'LaserSource' && updates.beamDiameter !== undefined) {
+                    object.setBeamDiameter(updates.beamDiameter);
+                }
+                if (object.type === 'SpotLight' && updates.coneAngle !== undefined) {
+                    object.setConeAngle(updates.coneAngle);
+                }
+                if (object.type === 'LineSource') {
+                    if (updates.length !== undefined) {
+                        object.setLength(updates.length);
+                    }
+                    if (updates.raysPerPoint !== undefined) {
+                        object.setRaysPerPoint(updates.raysPerPoint);
+                    }
+                    if (updates.spreadAngle !== undefined) {
+                        object.setSpreadAngle(updates.spreadAngle);
+                    }
+                    if (updates.twoSided !== undefined) {
+                        object.setTwoSided(updates.twoSided);
+                    }
+                }
             } else if (object.type === 'Target') {
                 if (updates.size !== undefined) {
                     object.setSize(updates.size);
@@ -357,6 +524,117 @@ export const useSceneStore = defineStore('scene', {
             }
         },
 
+        /**
+         * Start drawing a polygon by clicking points on the canvas
+         */
+        startPolygonDrawing() {
+            this.polygonDraft = [];
+            this.selectedObjectId = null;
+            console.log('Started polygon drawing');
+        },
+
+        /**
+         * Add a point to the polygon being drawn
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         */
+        addPolygonDraftPoint(x, y) {
+            if (this.polygonDraft === null) return;
+
+            // Ignore repeated clicks on the same spot (e.g. from a double click)
+            const last = this.polygonDraft[this.polygonDraft.length - 1];
+            if (last && Math.abs(last.x - x) < 1 && Math.abs(last.y - y) < 1) {
+                return;
+            }
+
+            this.polygonDraft.push({ x, y });
+        },
+
+        /**
+         * Finish drawing and add the polygon to the scene
+         * @returns {boolean} - Whether a polygon was created
+         */
+        finishPolygonDrawing() {
+            if (this.polygonDraft === null) return false;
+
+            const points = this.polygonDraft;
+            this.polygonDraft = null;
+
+            if (points.length < 3) {
+                console.warn('Polygon needs at least 3 points, drawing cancelled');
+                return false;
+            }
+
+            this.addObject(Polygon.fromWorldPoints(points), true);
+            return true;
+        },
+
+        /**
+         * Cancel drawing a polygon
+         */
+        cancelPolygonDrawing() {
+            this.polygonDraft = null;
+            console.log('Cancelled polygon drawing');
+        },
+
+        /**
+         * Move a scene object into a composite, combining it with the composite's shapes
+         * @param {string} compositeId - ID of the composite
+         * @param {string} objectId - ID of the scene object to absorb
+         */
+        addObjectToComposite(compositeId, objectId) {
+            const composite = this.objects.find(obj => obj.id === compositeId);
+            const object = this.objects.find(obj => obj.id === objectId);
+            if (!composite || composite.type !== 'Composite' || !object || object === composite) {
+                console.warn(`Cannot add ${objectId} to composite ${compositeId}`);
+                return;
+            }
+
+            if (!object.hasInterior()) {
+                console.warn(`${object.type} has no interior and can't be part of a composite`);
+                return;
+            }
+
+            this.removeObject(objectId);
+            composite.addWorldChild(object);
+
+            // Force reactivity
+            const index = this.objects.findIndex(obj => obj.id === compositeId);
+            this.objects[index] = composite;
+            this.selectedObjectId = compositeId;
+        },
+
+        /**
+         * Replace a composite by its children as standalone objects
+         * @param {string} id - ID of the composite
+         */
+        ungroupComposite(id) {
+            const composite = this.objects.find(obj => obj.id === id);
+            if (!composite || composite.type !== 'Composite') {
+                console.warn(`Object with id ${id} is not a composite`);
+                return;
+            }
+
+            const children = composite.getWorldChildren();
+            this.removeObject(id);
+            children.forEach(child => this.addObject(child, false));
+            console.log(`Ungrouped composite ${id} into ${children.length} objects`);
+        },
+
+        /**
+         * Set the seed used for stochastic sampling
+         */
+        setSeed(value) {
+            this.seed = Random.validateSeed(value);
+        },
+
+        /**
+         * Pick a new random seed
+         */
+        randomizeSeed() {
+            this.seed = Random.randomSeed();
+        },
+
         /**
          * Clear all objects from the scene
          */
@@ -365,9 +643,51 @@ export const useSceneStore = defineStore('scene', {
             this.focalPoints = [];
             this.targets = [];
             this.selectedObjectId = null;
+            this.polygonDraft = null;
             console.log('Scene cleared');
         },
 
+        /**
+         * Replace the scene with randomly placed shapes and a light source in the middle
+         * For stress-testing the tracer; the layout follows the scene seed, so it is reproducible.
+         * @param {number} count - Number of shapes (1-10000)
+         * @param {number} width - Width of the area to fill
+         * @param {number} height - Height of the area to fill
+         */
+        generateRandomScene(count, width, height) {
+            count = Math.max(1, Math.min(10000, Math.floor(count)));
+            const random = new Random(this.seed);
+
+            // Shapes get smaller as there are more of them, so they don't all overlap
+            const size = Math.max(2, Math.sqrt(width * height / count) / 3);
+
+            const objects = [];
+            for (let i = 0; i < count; i++) {
+                const x = random.range(0, width);
+                const y = random.range(0, height);
+                const rotation = random.range(0, Math.PI);
+                const kind = random.next();
+
+                if (kind < 0.4) {
+                    objects.push(new Circle({ x, y, radius: random.range(0.5, 1) * size }));
+                } else if (kind < 0.8) {
+                    objects.push(new Rectangle({
+                        x, y, rotation,
+                        width: random.range(0.5, 1.5) * size,
+                        height: random.range(0.5, 1.5) * size
+                    }));
+                } else {
+                    objects.push(new Mirror({ x, y, rotation, length: random.range(1, 3) * size }));
+                }
+            }
+
+            this.clearScene();
+            // Assigned in one go, so watchers see a single change instead of one per shape
+            this.objects = objects;
+            this.focalPoints = [new FocalPoint({ x: width / 2, y: height / 2, rayCount: 64 })];
+            console.log(`Generated ${count} random shapes`);
+        },
+
         /**
          * File object a given point (for selection)
          * Returns the topmost object at the point
@@ -424,7 +744,8 @@ export const useSceneStore = defineStore('scene', {
             return {
                 objects: this.objects.map(obj => obj.toJSON()),
                 focalPoints: this.focalPoints.map(fp => fp.toJSON()),
-                targets: this.targets.map(t => t.toJSON())
+                targets: this.targets.map(t => t.toJSON()),
+                seed: this.seed
             }
         },
 
@@ -436,11 +757,16 @@ export const useSceneStore = defineStore('scene', {
         importScene(json) {
             this.clearScene()
 
+            // Scenes saved before seeds were stored use the default seed
+            this.setSeed(json.seed ?? 1);
+
             // Import focal points
             if (json.focalPoints) {
                 json.focalPoints.forEach(fpData => {
-                    const focalPoint = FocalPoint.fromJSON(fpData);
-                    this.focalPoints.push(focalPoint);
+                    const focalPoint = ObjectFactory.fromJSON(fpData);
+                    if (focalPoint) {
+                        this.focalPoints.push(focalPoint);
+                    }
                 });
             }
 
@@ -455,36 +781,12 @@ export const useSceneStore = defineStore('scene', {
             // Factory to reconstruct objects by type
             if (json.objects) {
                 json.objects.forEach(objData => {
-                    let object
-                    switch (objData.type) {
-                        case 'Rectangle':
-                            object = Rectangle.fromJSON(objData);
-                            break;
-                        case 'Square':
-                            object = Square.fromJSON(objData);
-                            break;
-                        case 'Ellipse':
-                            object = Ellipse.fromJSON(objData);
-                            break;
-                        case 'Circle':
-                            object = Circle.fromJSON(objData);
-                            break;
-                        case 'Triangle':
-                            object = Triangle.fromJSON(objData);
-                            break;
-                        case 'EquilateralTriangle':
-                            object = EquilateralTriangle.fromJSON(objData);
-                            break;
-                        case 'FocalPoint':
-                            // Focal points already handled above
-                            break;
-                        case 'Target':
-                            // Targets already handled above
-                            break;
-                        default:
-                            console.warn(`Unknown object type: ${objData.type}`);
+                    // Light sources and targets are already handled above
+                    if (FocalPoint.isEmitter(objData) || objData.type === 'Target') {
+                        return;
                     }
 
+                    const object = ObjectFactory.fromJSON(objData);
                     if (object) {
                         this.addObject(object, false);
                     }
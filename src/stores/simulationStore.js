@@ -6,6 +6,12 @@
  */
 
 import { defineStore } from 'pinia';
+import { toRaw } from 'vue';
+import Colormap from '@/utils/Colormap.js';
+import Accelerator from '@/simulation/Accelerator.js';
+import BVH from '@/simulation/BVH.js';
+import Benchmark from '@/simulation/Benchmark.js';
+import { useSceneStore } from '@/stores/sceneStore';
 
 /**
  * Simulation store - manages ray-tracing simulation settings
@@ -15,15 +21,46 @@ export const useSimulationStore = defineStore('simulation', {
         // Simulation settings
         maxBounces: 5,
         minIntensity: 0.01,
-        useBVH: true,
+        useBVH: true,           // Use the acceleration structure (brute force when off)
+        accelerator: 'bvh',     // Acceleration structure: 'bvh', 'grid' (uniform grid) or 'quadtree'
+        bvhStrategy: 'binned',  // BVH build strategy: 'median', 'binned' (SAH) or 'sweep' (full SAH)
+        acceleratorStats: null, // Stats of the structure last traced with (set by the ray renderer)
+        showBVH: false,         // Draw the BVH boxes over the scene
+        bvhOverlayDepth: 32,    // Deepest BVH level drawn
+        bvhTraversal: null,     // Work done by the hovered ray's traversal (set by the BVH renderer)
+        useWorker: true,        // Trace in a Web Worker so the UI stays responsive
+        curvedRays: true,       // Bend rays inside gradient-index (GRIN) media
+        gradientStepSize: 2,    // Integration step (px) for curved rays
+        progressive: false,     // Keep adding batches of stochastic rays over frames
+        maxBatches: 32,         // Batches to accumulate before a progressive run stops
+        accumulatedBatches: 0,  // Batches drawn so far (set by the ray renderer)
+
+        // Results
+        detectorReadings: {},   // DetectorReading per detector ID (set by the ray renderer)
+        targetStatistics: {},   // TargetStatistics per target ID (set by the ray renderer)
+        traversalCounters: null,    // Intersection work of the last pass (set by the ray renderer)
+
+        // Benchmark (acceleration structure vs. brute force)
+        benchmarkRuns: 5,           // Passes traced per mode
+        benchmarkProgress: null,    // Fraction done while running, null otherwise
+        benchmarkResult: null,      // Result of the last run (see Benchmark.run)
 
         // Rendering settings
         showRays: true,
         rayColor: '#00ff00',
         rayWidth: 1,
+        renderMode: 'lines',        // 'lines' (individual rays) or 'heatmap' (accumulated irradiance)
+        heatmapExposure: 2,         // Heatmap exposure in stops
+        heatmapColormap: 'inferno', // One of Colormap.NAMES
+        heatmapCellSize: 2,         // Heatmap resolution (px per cell)
+
+        // Canvas size (set by the Pixi app)
+        canvasWidth: 800,
+        canvasHeight: 600,
 
         // Performance
-        isRunning: false
+        isRunning: false,
+        tracing: false          // A background trace is in progress (set by the ray renderer)
     }),
 
     actions: {
@@ -49,6 +86,73 @@ export const useSimulationStore = defineStore('simulation', {
             this.useBVH = !this.useBVH;
         },
 
+        /**
+         * Set the acceleration structure
+         */
+        setAccelerator(type) {
+            if (Accelerator.TYPES.includes(type)) {
+                this.accelerator = type;
+            }
+        },
+
+        /**
+         * Set BVH build strategy
+         */
+        setBVHStrategy(strategy) {
+            if (BVH.STRATEGIES.includes(strategy)) {
+                this.bvhStrategy = strategy;
+            }
+        },
+
+        /**
+         * Toggle the BVH overlay
+         */
+        toggleShowBVH() {
+            this.showBVH = !this.showBVH;
+        },
+
+        /**
+         * Set the deepest BVH level the overlay draws
+         */
+        setBVHOverlayDepth(value) {
+            this.bvhOverlayDepth = Math.max(0, Math.min(32, Math.floor(value)));
+        },
+
+        /**
+         * Toggle tracing in a Web Worker
+         */
+        toggleWorker() {
+            this.useWorker = !this.useWorker;
+        },
+
+        /**
+         * Toggle curved rays in gradient-index media
+         */
+        toggleCurvedRays() {
+            this.curvedRays = !this.curvedRays;
+        },
+
+        /**
+         * Update gradient-index integration step size
+         */
+        setGradientStepSize(value) {
+            this.gradientStepSize = Math.max(0.5, Math.min(20, value));
+        },
+
+        /**
+         * Toggle progressive accumulation of stochastic rays
+         */
+        toggleProgressive() {
+            this.progressive = !this.progressive;
+        },
+
+        /**
+         * Update the number of batches a progressive run accumulates
+         */
+        setMaxBatches(value) {
+            this.maxBatches = Math.max(1, Math.min(256, Math.floor(value)));
+        },
+
         /**
          * Toggle ray visibility
          */
@@ -70,6 +174,85 @@ export const useSimulationStore = defineStore('simulation', {
             this.rayWidth = Math.max(0.5, Math.min(5, value));
         },
 
+        /**
+         * Set render mode ('lines' or 'heatmap')
+         */
+        setRenderMode(mode) {
+            this.renderMode = mode === 'heatmap' ? 'heatmap' : 'lines';
+        },
+
+        /**
+         * Set heatmap exposure (stops)
+         */
+        setHeatmapExposure(value) {
+            this.heatmapExposure = Math.max(-4, Math.min(12, value));
+        },
+
+        /**
+         * Set heatmap color map
+         */
+        setHeatmapColormap(name) {
+            if (Colormap.NAMES.includes(name)) {
+                this.heatmapColormap = name;
+            }
+        },
+
+        /**
+         * Set heatmap cell size
+         */
+        setHeatmapCellSize(value) {
+            this.heatmapCellSize = Math.max(1, Math.min(8, Math.floor(value)));
+        },
+
+        /**
+         * Set the canvas size rays are traced within
+         */
+        setCanvasSize(width, height) {
+            this.canvasWidth = width;
+            this.canvasHeight = height;
+        },
+
+        /**
+         * Set the number of passes the benchmark traces per mode
+         */
+        setBenchmarkRuns(value) {
+            this.benchmarkRuns = Math.max(Benchmark.MIN_RUNS, Math.min(Benchmark.MAX_RUNS, Math.floor(value)));
+        },
+
+        /**
+         * Trace the current scene with and without the acceleration structure and store the comparison
+         */
+        async runBenchmark() {
+            if (this.benchmarkProgress !== null) return;
+
+            const sceneStore = useSceneStore();
+            // The benchmark only reads the scene, so it can skip the reactive wrappers
+            const scene = {
+                objects: toRaw(sceneStore.objects),
+                targets: toRaw(sceneStore.targets),
+                focalPoints: toRaw(sceneStore.focalPoints)
+            };
+            const settings = {
+                maxBounces: this.maxBounces,
+                minIntensity: this.minIntensity,
+                curvedRays: this.curvedRays,
+                gradientStepSize: this.gradientStepSize,
+                accelerator: this.accelerator,
+                bvhStrategy: this.bvhStrategy,
+                seed: sceneStore.seed,
+                canvasWidth: this.canvasWidth,
+                canvasHeight: this.canvasHeight
+            };
+
+            this.benchmarkProgress = 0;
+            try {
+                this.benchmarkResult = await Benchmark.run(scene, settings, this.benchmarkRuns,
+                    progress => { this.benchmarkProgress = progress; });
+            } finally {
+                this.benchmarkProgress = null;
+            }
+        },
+
         /**
          * Start simulation
          */
@@ -0,0 +1,58 @@
+/**
+ * file: src/utils/Colormap.js
+ * desc: Utility for mapping scalar values (0-1) to heatmap colors.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * Colormap - Piecewise linear color maps for heatmap rendering
+ */
+export default class Colormap {
+    // Evenly spaced color stops of each map, from 0 to 1
+    static MAPS = {
+        inferno: [0x000004, 0x1f0c48, 0x550f6d, 0x88226a, 0xba3655, 0xe35933, 0xf98c0a, 0xf9c932, 0xfcffa4],
+        viridis: [0x440154, 0x472d7b, 0x3b528b, 0x2c728e, 0x21918c, 0x28ae80, 0x5ec962, 0xaddc30, 0xfde725],
+        hot: [0x000000, 0x800000, 0xff0000, 0xff8000, 0xffff00, 0xffffff],
+        grayscale: [0x000000, 0xffffff]
+    };
+
+    static NAMES = Object.keys(Colormap.MAPS);
+
+    // Lookup tables already built, by map name
+    static tables = new Map();
+
+    /**
+     * Get a color from a map
+     * @param {string} name - One of NAMES
+     * @param {number} t - Position in the map (clamped to 0-1)
+     * @returns {Array<number>} [r, g, b] bytes
+     */
+    static sample(name, t) {
+        const stops = Colormap.MAPS[name] ?? Colormap.MAPS.inferno;
+        const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const i = Math.min(stops.length - 2, Math.floor(position));
+        const f = position - i;
+
+        const channel = (color, shift) => (color >> shift) & 0xff;
+        return [16, 8, 0].map(shift =>
+            Math.round(channel(stops[i], shift) * (1 - f) + channel(stops[i + 1], shift) * f)
+        );
+    }
+
+    /**
+     * Get a 256-entry lookup table of a map (cached)
+     * @param {string} name - One of NAMES
+     * @returns {Uint8Array} Packed r, g, b bytes for t = 0/255 ... 255/255
+     */
+    static getTable(name) {
+        if (!Colormap.tables.has(name)) {
+            const table = new Uint8Array(256 * 3);
+            for (let i = 0; i < 256; i++) {
+                table.set(Colormap.sample(name, i / 255), i * 3);
+            }
+            Colormap.tables.set(name, table);
+        }
+        return Colormap.tables.get(name);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * file: src/utils/Random.js
+ * desc: Seedable pseudo-random number generator for reproducible Monte Carlo sampling.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * Random - Small, fast seeded generator (mulberry32)
+ * The same seed always produces the same sequence, so stochastic scenes render identically
+ * every time they are loaded.
+ */
+export default class Random {
+    // Seeds are stored as unsigned 32-bit integers
+    static MAX_SEED = 0xffffffff;
+
+    /**
+     * @param {number} seed - Any integer (reduced to 32 bits)
+     */
+    constructor(seed = 1) {
+        this.state = Random.validateSeed(seed);
+    }
+
+    /**
+     * Validate a seed (an integer in [0, MAX_SEED])
+     */
+    static validateSeed(value) {
+        if (!Number.isFinite(value)) {
+            console.warn(`Invalid random seed ${value}, using 1`);
+            return 1;
+        }
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+
+    /**
+     * Pick a new seed (for "randomize" buttons; not itself reproducible)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * Random.MAX_SEED) >>> 0;
+    }
+
+    /**
+     * Derive an independent seed for one batch of a progressive run
+     * Mixes the batch number into the seed so consecutive batches don't share sequences
+     * @param {number} seed - The scene seed
+     * @param {number} batch - Batch index (0 = first pass)
+     * @returns {number}
+     */
+    static deriveSeed(seed, batch) {
+        let h = (Random.validateSeed(seed) ^ Math.imul(batch + 1, 0x9e3779b9)) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next value in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * A plain function returning next(), for APIs that take a Math.random-like callback
+     */
+    toFunction() {
+        return () => this.next();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * file: src/utils/Spectrum.js
+ * desc: Utility for sampling visible wavelengths and converting them to display colors.
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * Spectrum - Helpers for working with wavelengths of visible light (in nanometers)
+ */
+export default class Spectrum {
+    static MIN_WAVELENGTH = 400;    // violet
+    static MAX_WAVELENGTH = 700;    // red
+
+    /**
+     * Sample evenly spaced wavelengths across the visible spectrum
+     * @param {number} count - Number of wavelengths to sample
+     * @returns {Array<number>} Wavelengths in nanometers
+     */
+    static sampleWavelengths(count) {
+        if (count <= 1) {
+            return [(this.MIN_WAVELENGTH + this.MAX_WAVELENGTH) / 2];
+        }
+
+        const step = (this.MAX_WAVELENGTH - this.MIN_WAVELENGTH) / (count - 1);
+        const wavelengths = [];
+        for (let i = 0; i < count; i++) {
+            wavelengths.push(this.MIN_WAVELENGTH + i * step);
+        }
+        return wavelengths;
+    }
+
+    /**
+     * Convert a wavelength to an approximate RGB display color
+     * Piecewise linear approximation of the visible spectrum
+     * @param {number} wavelength - Wavelength in nanometers
+     * @returns {number} Color as a 0xRRGGBB number
+     */
+    static wavelengthToColor(wavelength) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+
+        if (wavelength >= 380 && wavelength < 440) {
+            r = -(wavelength - 440) / (440 - 380);
+            b = 1;
+        } else if (wavelength >= 440 && wavelength < 490) {
+            g = (wavelength - 440) / (490 - 440);
+            b = 1;
+        } else if (wavelength >= 490 && wavelength < 510) {
+            g = 1;
+            b = -(wavelength - 510) / (510 - 490);
+        } else if (wavelength >= 510 && wavelength < 580) {
+            r = (wavelength - 510) / (580 - 510);
+            g = 1;
+        } else if (wavelength >= 580 && wavelength < 645) {
+            r = 1;
+            g = -(wavelength - 645) / (645 - 580);
+        } else if (wavelength >= 645 && wavelength <= 780) {
+            r = 1;
+        }
+
+        // Fade intensity near the edges of human vision
+        let factor = 1;
+        if (wavelength >= 380 && wavelength < 420) {
+            factor = 0.3 + 0.7 * (wavelength - 380) / (420 - 380);
+        } else if (wavelength > 700 && wavelength <= 780) {
+            factor = 0.3 + 0.7 * (780 - wavelength) / (780 - 700);
+        }
+
+        const toByte = (channel) => Math.round(255 * channel * factor);
+        return (toByte(r) << 16) | (toByte(g) << 8) | toByte(b);
+    }
+}
\ No newline at end of file
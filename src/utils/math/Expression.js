@@ -0,0 +1,265 @@
+/**
+ * file: src/utils/math/Expression.js
+ * desc: Parses and evaluates small user-supplied math expressions (e.g. n(x, y) for GRIN media).
+ * auth: Benjamin Piro (brp8396@rit.edu)
+ * date: 19 October 2026
+ */
+
+/**
+ * Expression - A tiny arithmetic expression compiler
+ *
+ * Expressions come from the UI and from imported scene files, so they are parsed by hand
+ * rather than handed to eval/Function. Supported syntax:
+ *  - numbers (1, 0.5, 2e-4), the constants pi and e
+ *  - variables passed in at evaluation time (e.g. x, y, r)
+ *  - + - * / ^ (power, right associative), unary minus and parentheses
+ *  - the functions listed in FUNCTIONS
+ */
+export default class Expression {
+    static FUNCTIONS = {
+        sin: Math.sin,
+        cos: Math.cos,
+        tan: Math.tan,
+        asin: Math.asin,
+        acos: Math.acos,
+        atan: Math.atan,
+        sinh: Math.sinh,
+        cosh: Math.cosh,
+        tanh: Math.tanh,
+        sqrt: Math.sqrt,
+        exp: Math.exp,
+        log: Math.log,
+        abs: Math.abs,
+        min: Math.min,
+        max: Math.max,
+        pow: Math.pow,
+        atan2: Math.atan2,
+        sign: Math.sign,
+        floor: Math.floor,
+        ceil: Math.ceil
+    };
+
+    static CONSTANTS = {
+        pi: Math.PI,
+        e: Math.E
+    };
+
+    // Compiled expressions, keyed by "variables|source"
+    static cache = new Map();
+
+    /**
+     * Compile an expression into a function of the given variables
+     * @param {string} source - Expression text
+     * @param {Array<string>} variables - Names of the variables the expression may use
+     * @returns {Function} Function taking an object of variable values, e.g. f({ x: 1, y: 2 })
+     * @throws {Error} If the expression can't be parsed
+     */
+    static compile(source, variables = ['x', 'y']) {
+        const key = `${variables.join(',')}|${source}`;
+        if (Expression.cache.has(key)) {
+            return Expression.cache.get(key);
+        }
+
+        const parser = new ExpressionParser(Expression.tokenize(source), variables);
+        const evaluate = parser.parse();
+        Expression.cache.set(key, evaluate);
+        return evaluate;
+    }
+
+    /**
+     * Check if an expression parses
+     * @param {string} source - Expression text
+     * @param {Array<string>} variables - Names of the variables the expression may use
+     * @returns {boolean}
+     */
+    static isValid(source, variables = ['x', 'y']) {
+        try {
+            Expression.compile(source, variables);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Split an expression into number, name and operator tokens
+     * @param {string} source - Expression text
+     * @returns {Array<Object>} Tokens: {type: 'number'|'name'|'op', value}
+     */
+    static tokenize(source) {
+        if (typeof source !== 'string') {
+            throw new Error('Expression must be a string');
+        }
+
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\S))/y;
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < source.length && (match = pattern.exec(source)) !== null) {
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2] });
+            } else if (match[3] !== undefined) {
+                if (!'+-*/^(),'.includes(match[3])) {
+                    throw new Error(`Unexpected character '${match[3]}'`);
+                }
+                tokens.push({ type: 'op', value: match[3] });
+            }
+        }
+
+        return tokens;
+    }
+}
+
+/**
+ * Recursive descent parser producing nested evaluation closures
+ *  expression := term (('+' | '-') term)*
+ *  term       := unary (('*' | '/') unary)*
+ *  unary      := ('-' | '+') unary | power
+ *  power      := primary ('^' unary)?
+ *  primary    := number | name | name '(' arguments ')' | '(' expression ')'
+ */
+class ExpressionParser {
+    constructor(tokens, variables) {
+        this.tokens = tokens;
+        this.variables = variables;
+        this.index = 0;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new Error('Expression is empty');
+        }
+
+        const node = this.parseExpression();
+        if (this.index < this.tokens.length) {
+            throw new Error(`Unexpected '${this.tokens[this.index].value}'`);
+        }
+        return node;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token !== undefined && token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.isOp(value)) {
+            throw new Error(`Expected '${value}'`);
+        }
+        this.index++;
+    }
+
+    parseExpression() {
+        let left = this.parseTerm();
+
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.tokens[this.index++].value;
+            const a = left;
+            const b = this.parseTerm();
+            left = op === '+' ? (vars) => a(vars) + b(vars) : (vars) => a(vars) - b(vars);
+        }
+
+        return left;
+    }
+
+    parseTerm() {
+        let left = this.parseUnary();
+
+        while (this.isOp('*') || this.isOp('/')) {
+            const op = this.tokens[this.index++].value;
+            const a = left;
+            const b = this.parseUnary();
+            left = op === '*' ? (vars) => a(vars) * b(vars) : (vars) => a(vars) / b(vars);
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            this.index++;
+            const operand = this.parseUnary();
+            return (vars) => -operand(vars);
+        }
+        if (this.isOp('+')) {
+            this.index++;
+            return this.parseUnary();
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+
+        if (this.isOp('^')) {
+            this.index++;
+            const exponent = this.parseUnary();
+            return (vars) => Math.pow(base(vars), exponent(vars));
+        }
+
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (token === undefined) {
+            throw new Error('Unexpected end of expression');
+        }
+
+        if (token.type === 'number') {
+            this.index++;
+            const value = token.value;
+            return () => value;
+        }
+
+        if (this.isOp('(')) {
+            this.index++;
+            const inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+
+        if (token.type === 'name') {
+            this.index++;
+            const name = token.value;
+
+            if (this.isOp('(')) {
+                const fn = Object.hasOwn(Expression.FUNCTIONS, name) ? Expression.FUNCTIONS[name] : null;
+                if (!fn) {
+                    throw new Error(`Unknown function '${name}'`);
+                }
+
+                this.index++;
+                const args = [];
+                if (!this.isOp(')')) {
+                    args.push(this.parseExpression());
+                    while (this.isOp(',')) {
+                        this.index++;
+                        args.push(this.parseExpression());
+                    }
+                }
+                this.expect(')');
+
+                return (vars) => fn(...args.map(arg => arg(vars)));
+            }
+
+            if (this.variables.includes(name)) {
+                return (vars) => vars[name];
+            }
+            if (Object.hasOwn(Expression.CONSTANTS, name)) {
+                const value = Expression.CONSTANTS[name];
+                return () => value;
+            }
+            throw new Error(`Unknown name '${name}'`);
+        }
+
+        throw new Error(`Unexpected '${token.value}'`);
+    }
+}
\ No newline at end of file
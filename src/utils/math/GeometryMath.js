@@ -6,6 +6,7 @@
  */
 
 import Intersection from '@/simulation/Intersection.js';
+import FocalPoint from '@/geometry/FocalPoint.js';
 
 /**
  * GeometryMath - Ray-geometry intersection calculations
@@ -88,9 +89,6 @@ export default class GeometryMath {
             const p1 = vertices[i];
             const p2 = vertices[(i + 1) % vertices.length];
 
-            if (i === 0)
-                console.log(`p1: (${p1.x} ${p1.y}), p2: (${p2.x} ${p2.y})`);
-
             const result = this.rayLineSegmentIntersection(rayOrigin, rayDir, p1, p2);
 
             if (result && result.t < closestDistance) {
@@ -227,6 +225,591 @@ export default class GeometryMath {
         return new Intersection(true, distance, worldHit, worldNormal, object);
     }
 
+    /**
+     * Ray-circle intersection distances
+     * @param {Object} rayOrigin - {x, y}
+     * @param {Object} rayDir - {x, y} normalized
+     * @param {Object} center - Circle center {x, y}
+     * @param {number} radius - Circle radius
+     * @returns {Array<number>} Distances along the ray to both roots (may be negative)
+     */
+    static rayCircleDistances(rayOrigin, rayDir, center, radius) {
+        const ox = rayOrigin.x - center.x;
+        const oy = rayOrigin.y - center.y;
+
+        // Ray direction is normalized, so a = 1
+        const b = 2 * (ox * rayDir.x + oy * rayDir.y);
+        const c = ox * ox + oy * oy - radius * radius;
+        const discriminant = b * b - 4 * c;
+
+        if (discriminant < 0) {
+            return [];
+        }
+
+        const sqrtD = Math.sqrt(discriminant);
+        return [(-b - sqrtD) / 2, (-b + sqrtD) / 2];
+    }
+
+    /**
+     * Sag (axial depth) of a spherical surface at height y from its vertex
+     * @param {number} radius - Radius of curvature (positive = convex, negative = concave, 0 = flat)
+     * @param {number} y - Height from the optical axis
+     * @returns {number} Sag, positive toward the center of curvature of a convex surface
+     */
+    static sphericalSag(radius, y) {
+        if (radius === 0) return 0;
+        const r = Math.abs(radius);
+        return Math.sign(radius) * (r - Math.sqrt(Math.max(0, r * r - y * y)));
+    }
+
+    /**
+     * Ray-lens intersection
+     * The lens is bounded by two spherical arcs (or flat faces) joined by flat top and bottom edges.
+     * Uses the lens' local frame: optical axis along x, surface vertices at x = -/+ thickness/2.
+     * @param {Object} rayOrigin - {x, y}
+     * @param {Object} rayDir - {x, y} normalized
+     * @param {Object} center - Lens center {x, y}
+     * @param {number} r1 - Left surface radius (positive = convex, negative = concave, 0 = flat)
+     * @param {number} r2 - Right surface radius (same sign convention)
+     * @param {number} thickness - Center thickness
+     * @param {number} aperture - Full lens height
+     * @param {number} rotation - Lens rotation in radians
+     * @param {Object} object - The geometric object
+     * @returns {Intersection}
+     */
+    static rayLensIntersection(rayOrigin, rayDir, center, r1, r2, thickness, aperture, rotation, object) {
+        // Transform ray to lens local space
+        const cos = Math.cos(-rotation);
+        const sin = Math.sin(-rotation);
+        const ox = rayOrigin.x - center.x;
+        const oy = rayOrigin.y - center.y;
+
+        const localOrigin = {
+            x: ox * cos - oy * sin,
+            y: ox * sin + oy * cos
+        };
+        const localDir = {
+            x: rayDir.x * cos - rayDir.y * sin,
+            y: rayDir.x * sin + rayDir.y * cos
+        };
+
+        const halfThickness = thickness / 2;
+        const halfAperture = aperture / 2;
+
+        let closestT = Infinity;
+        let closestNormal = null;
+
+        // Spherical (or flat) optical surfaces
+        // side = -1 for the left surface, +1 for the right surface
+        const surfaces = [
+            { radius: r1, side: -1 },
+            { radius: r2, side: 1 }
+        ];
+
+        for (const { radius, side } of surfaces) {
+            const vertexX = side * halfThickness;
+
+            if (radius === 0) {
+                // Flat face
+                const result = this.rayLineSegmentIntersection(
+                    localOrigin,
+                    localDir,
+                    { x: vertexX, y: -halfAperture },
+                    { x: vertexX, y: halfAperture }
+                );
+                if (result && result.t < closestT) {
+                    closestT = result.t;
+                    closestNormal = result.normal;
+                }
+                continue;
+            }
+
+            // Circle center lies on the optical axis, |radius| away from the surface vertex
+            const arcCenter = { x: vertexX - side * radius, y: 0 };
+            const r = Math.abs(radius);
+
+            for (const t of this.rayCircleDistances(localOrigin, localDir, arcCenter, r)) {
+                if (t < this.EPSILON || t >= closestT) continue;
+
+                const point = {
+                    x: localOrigin.x + t * localDir.x,
+                    y: localOrigin.y + t * localDir.y
+                };
+
+                // Must be within the aperture and on the half of the circle that forms the surface
+                if (Math.abs(point.y) > halfAperture) continue;
+                if (side * Math.sign(radius) * (point.x - arcCenter.x) < 0) continue;
+
+                // Outward normal: away from the center for convex, toward it for concave
+                const normal = {
+                    x: Math.sign(radius) * (point.x - arcCenter.x) / r,
+                    y: Math.sign(radius) * (point.y - arcCenter.y) / r
+                };
+
+                // Ensure normal points against the ray direction
+                if (normal.x * localDir.x + normal.y * localDir.y > 0) {
+                    normal.x = -normal.x;
+                    normal.y = -normal.y;
+                }
+
+                closestT = t;
+                closestNormal = normal;
+            }
+        }
+
+        // Flat top and bottom edges joining the two surfaces
+        const edgeLeftX = -halfThickness + this.sphericalSag(r1, halfAperture);
+        const edgeRightX = halfThickness - this.sphericalSag(r2, halfAperture);
+
+        for (const edgeY of [-halfAperture, halfAperture]) {
+            const result = this.rayLineSegmentIntersection(
+                localOrigin,
+                localDir,
+                { x: edgeLeftX, y: edgeY },
+                { x: edgeRightX, y: edgeY }
+            );
+            if (result && result.t < closestT) {
+                closestT = result.t;
+                closestNormal = result.normal;
+            }
+        }
+
+        if (!closestNormal) {
+            return Intersection.noHit();
+        }
+
+        // Transform hit point and normal back to world space
+        const rotCos = Math.cos(rotation);
+        const rotSin = Math.sin(rotation);
+
+        const worldHit = {
+            x: rayOrigin.x + closestT * rayDir.x,
+            y: rayOrigin.y + closestT * rayDir.y
+        };
+        const worldNormal = {
+            x: closestNormal.x * rotCos - closestNormal.y * rotSin,
+            y: closestNormal.x * rotSin + closestNormal.y * rotCos
+        };
+
+        return new Intersection(true, closestT, worldHit, worldNormal, object);
+    }
+
+    /**
+     * Sag (axial depth) of a conic mirror surface at height y from its vertex
+     * The surface is alpha*x^2 + beta*x + y^2 = 0 with its vertex at the origin, opening toward +x
+     * (alpha = 0 parabola, alpha = 1 circle, 0 < alpha < 1 prolate ellipse; beta < 0)
+     * @param {number} alpha - Quadratic coefficient
+     * @param {number} beta - Linear coefficient
+     * @param {number} y - Height from the axis
+     * @returns {number} x coordinate of the surface on the branch nearest the vertex
+     */
+    static conicSag(alpha, beta, y) {
+        // Numerically stable form of the smaller root (also valid for alpha = 0)
+        const root = Math.sqrt(Math.max(0, beta * beta - 4 * alpha * y * y));
+        return (2 * y * y) / (-beta + root);
+    }
+
+    /**
+     * Ray-conic arc intersection (open curved mirror surfaces)
+     * Uses the conic alpha*x^2 + beta*x + y^2 = 0 in the mirror's local space (see conicSag),
+     * keeping only the branch nearest the vertex and heights within the aperture
+     * @param {Object} rayOrigin - {x, y}
+     * @param {Object} rayDir - {x, y} normalized
+     * @param {Object} vertex - Mirror vertex {x, y}
+     * @param {number} alpha - Quadratic coefficient
+     * @param {number} beta - Linear coefficient
+     * @param {number} aperture - Full height of the arc
+     * @param {number} rotation - Rotation in radians
+     * @param {Object} object - The geometric object
+     * @returns {Intersection}
+     */
+    static rayConicArcIntersection(rayOrigin, rayDir, vertex, alpha, beta, aperture, rotation, object) {
+        // Transform ray to local space
+        const cos = Math.cos(-rotation);
+        const sin = Math.sin(-rotation);
+        const ox = rayOrigin.x - vertex.x;
+        const oy = rayOrigin.y - vertex.y;
+        const lox = ox * cos - oy * sin;
+        const loy = ox * sin + oy * cos;
+        const ldx = rayDir.x * cos - rayDir.y * sin;
+        const ldy = rayDir.x * sin + rayDir.y * cos;
+
+        // Substitute the ray into the conic: a*t^2 + b*t + c = 0
+        const a = alpha * ldx * ldx + ldy * ldy;
+        const b = 2 * alpha * lox * ldx + beta * ldx + 2 * loy * ldy;
+        const c = alpha * lox * lox + beta * lox + loy * loy;
+
+        let roots;
+        if (Math.abs(a) < this.EPSILON) {
+            // Ray parallel to a parabola's axis: the equation is linear
+            if (Math.abs(b) < this.EPSILON) {
+                return Intersection.noHit();
+            }
+            roots = [-c / b];
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) {
+                return Intersection.noHit();
+            }
+            const sqrtD = Math.sqrt(discriminant);
+            roots = [(-b - sqrtD) / (2 * a), (-b + sqrtD) / (2 * a)];
+        }
+
+        // Circles and ellipses close on themselves; only the half nearest the vertex is the mirror
+        const maxX = alpha > 0 ? -beta / (2 * alpha) : Infinity;
+        const halfAperture = aperture / 2;
+
+        const t = roots
+            .filter(root => root >= this.EPSILON)
+            .sort((r1, r2) => r1 - r2)
+            .find(root => {
+                const x = lox + root * ldx;
+                const y = loy + root * ldy;
+                return Math.abs(y) <= halfAperture && x <= maxX;
+            });
+
+        if (t === undefined) {
+            return Intersection.noHit();
+        }
+
+        const localHit = { x: lox + t * ldx, y: loy + t * ldy };
+
+        // Normal from the gradient of the conic equation
+        const localNormal = { x: 2 * alpha * localHit.x + beta, y: 2 * localHit.y };
+        const normalLength = Math.sqrt(localNormal.x * localNormal.x + localNormal.y * localNormal.y);
+
+        // Transform back to world space
+        const rotCos = Math.cos(rotation);
+        const rotSin = Math.sin(rotation);
+
+        const point = {
+            x: vertex.x + localHit.x * rotCos - localHit.y * rotSin,
+            y: vertex.y + localHit.x * rotSin + localHit.y * rotCos
+        };
+
+        const normal = {
+            x: (localNormal.x * rotCos - localNormal.y * rotSin) / normalLength,
+            y: (localNormal.x * rotSin + localNormal.y * rotCos) / normalLength
+        };
+
+        // Mirrors reflect on both sides, so the normal always faces the incoming ray
+        if (rayDir.x * normal.x + rayDir.y * normal.y > 0) {
+            normal.x = -normal.x;
+            normal.y = -normal.y;
+        }
+
+        return new Intersection(true, t, point, normal, object);
+    }
+
+    /**
+     * Real roots of a*x^3 + b*x^2 + c*x + d = 0
+     * Falls back to the quadratic/linear case when the leading coefficients vanish,
+     * and polishes every root with a few Newton steps
+     * @returns {Array<number>} Real roots (unsorted, may contain near-duplicates)
+     */
+    static solveCubic(a, b, c, d) {
+        // Normalize so the tolerance checks are scale independent
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d));
+        if (scale === 0) {
+            return [];
+        }
+        a /= scale;
+        b /= scale;
+        c /= scale;
+        d /= scale;
+
+        let roots;
+
+        if (Math.abs(a) < 1e-9) {
+            if (Math.abs(b) < 1e-9) {
+                // Linear
+                return Math.abs(c) < 1e-12 ? [] : [-d / c];
+            }
+            // Quadratic
+            const discriminant = c * c - 4 * b * d;
+            if (discriminant < 0) {
+                return [];
+            }
+            const sqrtD = Math.sqrt(discriminant);
+            roots = [(-c - sqrtD) / (2 * b), (-c + sqrtD) / (2 * b)];
+        } else {
+            // Depressed cubic t^3 + p*t + q = 0 with x = t - b/(3a)
+            const A = b / a;
+            const B = c / a;
+            const C = d / a;
+            const p = B - A * A / 3;
+            const q = 2 * A * A * A / 27 - A * B / 3 + C;
+            const offset = -A / 3;
+            const discriminant = q * q / 4 + p * p * p / 27;
+
+            if (discriminant > 1e-14) {
+                // One real root (Cardano)
+                const sqrtD = Math.sqrt(discriminant);
+                roots = [Math.cbrt(-q / 2 + sqrtD) + Math.cbrt(-q / 2 - sqrtD) + offset];
+            } else if (discriminant < -1e-14) {
+                // Three real roots (trigonometric method)
+                const r = 2 * Math.sqrt(-p / 3);
+                const phi = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * r))));
+                roots = [0, 1, 2].map(k => r * Math.cos((phi - 2 * Math.PI * k) / 3) + offset);
+            } else {
+                // Repeated roots
+                const u = Math.cbrt(-q / 2);
+                roots = [2 * u + offset, -u + offset];
+            }
+        }
+
+        // Newton polish against the (normalized) original polynomial
+        return roots.map(x => {
+            for (let i = 0; i < 3; i++) {
+                const f = ((a * x + b) * x + c) * x + d;
+                const df = (3 * a * x + 2 * b) * x + c;
+                if (Math.abs(df) < 1e-12) break;
+                x -= f / df;
+            }
+            return x;
+        });
+    }
+
+    /**
+     * Point on a cubic Bezier curve
+     * @param {Array<Object>} p - Four control points [{x, y}, ...]
+     * @param {number} u - Curve parameter (0-1)
+     */
+    static cubicBezierPoint(p, u) {
+        const v = 1 - u;
+        const b0 = v * v * v;
+        const b1 = 3 * u * v * v;
+        const b2 = 3 * u * u * v;
+        const b3 = u * u * u;
+
+        return {
+            x: b0 * p[0].x + b1 * p[1].x + b2 * p[2].x + b3 * p[3].x,
+            y: b0 * p[0].y + b1 * p[1].y + b2 * p[2].y + b3 * p[3].y
+        };
+    }
+
+    /**
+     * Tangent (first derivative) of a cubic Bezier curve
+     * @param {Array<Object>} p - Four control points [{x, y}, ...]
+     * @param {number} u - Curve parameter (0-1)
+     */
+    static cubicBezierDerivative(p, u) {
+        const v = 1 - u;
+        const d0 = 3 * v * v;
+        const d1 = 6 * u * v;
+        const d2 = 3 * u * u;
+
+        return {
+            x: d0 * (p[1].x - p[0].x) + d1 * (p[2].x - p[1].x) + d2 * (p[3].x - p[2].x),
+            y: d0 * (p[1].y - p[0].y) + d1 * (p[2].y - p[1].y) + d2 * (p[3].y - p[2].y)
+        };
+    }
+
+    /**
+     * Tight axis-aligned bounds of a cubic Bezier curve (endpoints plus derivative extrema)
+     * @param {Array<Object>} p - Four control points [{x, y}, ...]
+     * @returns {Object} { minX, minY, maxX, maxY }
+     */
+    static cubicBezierBounds(p) {
+        const params = [0, 1];
+
+        ['x', 'y'].forEach(axis => {
+            // Derivative is quadratic: a*u^2 + b*u + c
+            const a = 3 * (-p[0][axis] + 3 * p[1][axis] - 3 * p[2][axis] + p[3][axis]);
+            const b = 6 * (p[0][axis] - 2 * p[1][axis] + p[2][axis]);
+            const c = 3 * (p[1][axis] - p[0][axis]);
+            this.solveCubic(0, a, b, c)
+                .filter(u => u > 0 && u < 1)
+                .forEach(u => params.push(u));
+        });
+
+        const points = params.map(u => this.cubicBezierPoint(p, u));
+        const xs = points.map(pt => pt.x);
+        const ys = points.map(pt => pt.y);
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    /**
+     * All crossings of a ray's line with a cubic Bezier curve
+     * The curve's signed distance from the line is itself a cubic in u, so the crossings
+     * are its roots in [0, 1]
+     * @param {Object} rayOrigin - {x, y}
+     * @param {Object} rayDir - {x, y} normalized
+     * @param {Array<Object>} p - Four control points [{x, y}, ...]
+     * @returns {Array<Object>} [{t, u}] with t the distance along the ray (may be negative)
+     */
+    static rayCubicBezierHits(rayOrigin, rayDir, p) {
+        // Signed distance of each control point from the ray's line
+        const [d0, d1, d2, d3] = p.map(pt =>
+            (pt.x - rayOrigin.x) * rayDir.y - (pt.y - rayOrigin.y) * rayDir.x
+        );
+
+        // Power basis coefficients of the Bernstein polynomial
+        const roots = this.solveCubic(
+            -d0 + 3 * d1 - 3 * d2 + d3,
+            3 * d0 - 6 * d1 + 3 * d2,
+            -3 * d0 + 3 * d1,
+            d0
+        );
+
+        const hits = [];
+        roots.forEach(u => {
+            if (u < -1e-9 || u > 1 + 1e-9) return;
+            u = Math.max(0, Math.min(1, u));
+
+            const point = this.cubicBezierPoint(p, u);
+            const t = (point.x - rayOrigin.x) * rayDir.x + (point.y - rayOrigin.y) * rayDir.y;
+
+            // Skip near-duplicate roots (tangent crossings)
+            if (!hits.some(hit => Math.abs(hit.u - u) < 1e-7)) {
+                hits.push({ t, u });
+            }
+        });
+
+        return hits;
+    }
+
+    /**
+     * Ray intersection with a closed chain of cubic Bezier segments
+     * @param {Object} rayOrigin - {x, y}
+     * @param {Object} rayDir - {x, y} normalized
+     * @param {Array<Array<Object>>} segments - World-space control points, four per segment
+     * @param {Object} object - The geometric object
+     * @returns {Intersection}
+     */
+    static rayBezierShapeIntersection(rayOrigin, rayDir, segments, object) {
+        let closest = null;
+
+        segments.forEach(p => {
+            this.rayCubicBezierHits(rayOrigin, rayDir, p).forEach(({ t, u }) => {
+                if (t >= this.EPSILON && (!closest || t < closest.t)) {
+                    closest = { t, u, p };
+                }
+            });
+        });
+
+        if (!closest) {
+            return Intersection.noHit();
+        }
+
+        const { t, u, p } = closest;
+        const point = {
+            x: rayOrigin.x + t * rayDir.x,
+            y: rayOrigin.y + t * rayDir.y
+        };
+
+        // Normal from the curve tangent; fall back to the chord at degenerate (cusp) points
+        let tangent = this.cubicBezierDerivative(p, u);
+        if (Math.sqrt(tangent.x * tangent.x + tangent.y * tangent.y) < this.EPSILON) {
+            tangent = { x: p[3].x - p[0].x, y: p[3].y - p[0].y };
+        }
+        const tangentLength = Math.sqrt(tangent.x * tangent.x + tangent.y * tangent.y);
+
+        const normal = {
+            x: -tangent.y / tangentLength,
+            y: tangent.x / tangentLength
+        };
+
+        // Ensure normal points against the ray direction
+        if (rayDir.x * normal.x + rayDir.y * normal.y > 0) {
+            normal.x = -normal.x;
+            normal.y = -normal.y;
+        }
+
+        return new Intersection(true, t, point, normal, object);
+    }
+
+    /**
+     * All boundary hits of a ray with an object, nearest first
+     * Repeatedly re-casts the ray from just past the previous hit, so it works for any shape
+     * @param {Ray} ray - Object with origin and direction
+     * @param {Object} object - The geometric object
+     * @param {number} maxHits - Safety limit on the number of hits
+     * @returns {Array<Intersection>} Hits with distances measured from the original origin
+     */
+    static rayAllObjectHits(ray, object, maxHits = 32) {
+        const hits = [];
+        let origin = ray.origin;
+        let travelled = 0;
+
+        while (hits.length < maxHits) {
+            const hit = this.rayObjectIntersection({ origin, direction: ray.direction }, object);
+            if (!hit.hit) break;
+
+            travelled += hit.distance;
+            hits.push(new Intersection(true, travelled, hit.point, hit.normal, hit.object));
+            origin = hit.point;
+        }
+
+        return hits;
+    }
+
+    /**
+     * Ray-composite (CSG) intersection
+     * Collects every hit with the composite's children, then returns the nearest one where the
+     * combined shape actually changes between inside and outside
+     * @param {Ray} ray - Object with origin and direction
+     * @param {CompositeObject} composite - The composite object
+     * @returns {Intersection}
+     */
+    static rayCompositeIntersection(ray, composite) {
+        // Work in the composite's local frame (distances are unchanged by the rigid transform)
+        const cos = Math.cos(-composite.rotation);
+        const sin = Math.sin(-composite.rotation);
+        const localRay = {
+            origin: composite.toLocal(ray.origin.x, ray.origin.y),
+            direction: {
+                x: ray.direction.x * cos - ray.direction.y * sin,
+                y: ray.direction.x * sin + ray.direction.y * cos
+            }
+        };
+
+        const hits = composite.getChildren()
+            .flatMap(child => this.rayAllObjectHits(localRay, child))
+            .sort((a, b) => a.distance - b.distance);
+
+        const probe = composite.constructor.BOUNDARY_PROBE;
+        const boundaryHit = hits.find(hit => {
+            const before = hit.distance - probe;
+            const after = hit.distance + probe;
+            const insideBefore = composite.containsLocalPoint(
+                localRay.origin.x + before * localRay.direction.x,
+                localRay.origin.y + before * localRay.direction.y
+            );
+            const insideAfter = composite.containsLocalPoint(
+                localRay.origin.x + after * localRay.direction.x,
+                localRay.origin.y + after * localRay.direction.y
+            );
+            return insideBefore !== insideAfter;
+        });
+
+        if (!boundaryHit) {
+            return Intersection.noHit();
+        }
+
+        // Child normals already face against the ray; rotate back to world space
+        const rotCos = Math.cos(composite.rotation);
+        const rotSin = Math.sin(composite.rotation);
+        const normal = {
+            x: boundaryHit.normal.x * rotCos - boundaryHit.normal.y * rotSin,
+            y: boundaryHit.normal.x * rotSin + boundaryHit.normal.y * rotCos
+        };
+
+        return new Intersection(
+            true,
+            boundaryHit.distance,
+            composite.toWorld(boundaryHit.point.x, boundaryHit.point.y),
+            normal,
+            composite
+        );
+    }
+
     /**
      * Ray-object intersection (dispatcher)
      * @param {Ray} ray - The ray
@@ -234,8 +817,8 @@ export default class GeometryMath {
      * @returns {Intersection}
      */
     static rayObjectIntersection(ray, object) {
-        // Don't intersect with focal points
-        if (object.type === 'FocalPoint') {
+        // Don't intersect with light sources
+        if (FocalPoint.isEmitter(object)) {
             return Intersection.noHit();
         }
 
@@ -265,6 +848,78 @@ export default class GeometryMath {
             );
         }
 
+        if (object.type === 'Lens') {
+            return this.rayLensIntersection(
+                ray.origin,
+                ray.direction,
+                object.position,
+                object.r1,
+                object.r2,
+                object.thickness,
+                object.aperture,
+                object.rotation,
+                object
+            );
+        }
+
+        // CSG composites - boundary hits of the combined shape
+        if (object.type === 'Composite') {
+            return this.rayCompositeIntersection(ray, object);
+        }
+
+        // Bezier outlines - cubic root finding per segment
+        if (object.type === 'BezierShape') {
+            return this.rayBezierShapeIntersection(ray.origin, ray.direction, object.getSegments(), object);
+        }
+
+        // Curved thin surfaces - analytic conic arc
+        if (object.type === 'CurvedMirror') {
+            const { alpha, beta } = object.getConicCoefficients();
+            return this.rayConicArcIntersection(
+                ray.origin,
+                ray.direction,
+                object.position,
+                alpha,
+                beta,
+                object.length,
+                object.rotation,
+                object
+            );
+        }
+
+        // Detector screens - an open segment or circular arc
+        if (object.type === 'Detector') {
+            if (object.shape === 'arc') {
+                const { alpha, beta } = object.getConicCoefficients();
+                return this.rayConicArcIntersection(
+                    ray.origin,
+                    ray.direction,
+                    object.position,
+                    alpha,
+                    beta,
+                    object.length,
+                    object.rotation,
+                    object
+                );
+            }
+            const [p1, p2] = object.getEndpoints();
+            const result = this.rayLineSegmentIntersection(ray.origin, ray.direction, p1, p2);
+            if (result) {
+                return new Intersection(true, result.t, result.point, result.normal, object);
+            }
+            return Intersection.noHit();
+        }
+
+        // Thin surfaces - a single open segment (no closing edge)
+        if (object.type === 'Mirror') {
+            const [p1, p2] = object.getEndpoints();
+            const result = this.rayLineSegmentIntersection(ray.origin, ray.direction, p1, p2);
+            if (result) {
+                return new Intersection(true, result.t, result.point, result.normal, object);
+            }
+            return Intersection.noHit();
+        }
+
         // For polygons (rectangles, triangles, etc.)
         if (object.getVertices) {
             const vertices = object.getVertices();